@@ -4,9 +4,9 @@
  */
 import { createMailListener } from './services/email/mail-listener.js';
 import { parseEmail } from './services/email/mail-parser.js';
-import { processRedNotePost } from './services/rednote/rednote-saver.js';
+import { createJobQueue } from './services/queue/job-queue.js';
+import { startHttpServer } from './services/http/http-server.js';
 import { logger } from './utils/logger.js';
-import {processWeiboPost} from "./services/weibo/weibo-saver.js";
 
 /**
  * Start the application
@@ -17,6 +17,13 @@ export function startApplication() {
     
     // Create mail listener
     const mailListener = createMailListener();
+
+    // Create the job queue; jobs left over from a previous run are resumed
+    const jobQueue = createJobQueue();
+    jobQueue.start();
+
+    // Start the HTTP API, which feeds the same queue as the mail listener
+    const httpServer = startHttpServer(jobQueue);
     
     // Set up event handlers
     mailListener.on('server:connected', () => {
@@ -33,19 +40,15 @@ export function startApplication() {
       process.exit(1);
     });
     
-    mailListener.on('mail', async (mail) => {
+    mailListener.on('mail', (mail) => {
       logger.info('Received new email', { subject: mail.subject });
       
       // Parse email data
       const emailData = parseEmail(mail);
       
-      // Process email based on its type
+      // Queue the post; the queue saves it in the background and retries on failure
       if (emailData) {
-        if (emailData.type === 'weibo') {
-          await processWeiboPost(emailData);
-        } else if (emailData.type === 'rednote') {
-          await processRedNotePost(emailData);
-        }
+        jobQueue.enqueue(emailData);
       }
     });
     
@@ -55,12 +58,16 @@ export function startApplication() {
     // Handle application shutdown
     process.on('SIGINT', () => {
       logger.info('Application shutdown requested');
+      jobQueue.stop();
+      if (httpServer) httpServer.close();
       mailListener.stop();
       process.exit(0);
     });
     
     process.on('SIGTERM', () => {
       logger.info('Application termination requested');
+      jobQueue.stop();
+      if (httpServer) httpServer.close();
       mailListener.stop();
       process.exit(0);
     });
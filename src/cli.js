@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the Weibo Saver application
+ * Saves posts directly from URLs, without going through email
+ */
+import fs from 'fs';
+import { parseArgs } from 'util';
+
+const USAGE = `Usage: weibo-saver <command> [options]
+
+Commands:
+  save <url|text>...        Save one or more posts and print where they were written
+  save --file <path>        Save every URL listed in a file (one per line, # for comments)
+  listen                    Listen for share emails (requires the IMAP configuration)
+  jobs dead                 List jobs in the dead-letter list
+  jobs retry <id>|--all     Move dead-lettered jobs back into the queue
+  rerender [<id>...]        Render saved posts again from their sidecars with the current templates
+  export html|epub [<id>...]
+                            Export saved posts to a self-contained HTML file or an EPUB digest
+  media report              Show how much space the media store saves
+  media gc [--dry-run]      Delete stored media that no note uses
+
+Options:
+  -f, --file <path>         File with URLs for the save command
+  -a, --all                 Apply to all jobs
+  -p, --platform <name>     Only re-render or export posts of this platform (weibo, rednote)
+  --since <date>            Only re-render or export posts saved on or after this date
+  --until <date>            Only re-render or export posts saved on or before this date
+  --author <name>           Only export posts by this author
+  -o, --output <path>       File the export is written to
+  --title <title>           Title of the export
+  --reparse                 Parse the saved raw data again when re-rendering
+  -n, --dry-run             Show what media gc or rerender would do without changing anything
+  -v, --verbose             Show application logs
+  -h, --help                Show this help`;
+
+let options;
+let positionals;
+try {
+  ({ values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      file: { type: 'string', short: 'f' },
+      all: { type: 'boolean', short: 'a' },
+      'dry-run': { type: 'boolean', short: 'n' },
+      platform: { type: 'string', short: 'p' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      author: { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      title: { type: 'string' },
+      reparse: { type: 'boolean' },
+      verbose: { type: 'boolean', short: 'v' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  }));
+} catch (error) {
+  console.error(`${error.message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Keep stdout for results unless logs were asked for; this has to happen before the config is loaded
+if (!options.verbose && !process.env.LOG_LEVEL && positionals[0] !== 'listen') {
+  process.env.LOG_LEVEL = 'WARN';
+}
+
+/**
+ * Read URLs from a file, skipping blank lines and comments
+ * @param {string} filePath - Path of the file
+ * @returns {Array<string>} - Lines containing URLs
+ */
+function readUrlFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Save posts and print the path of each saved Markdown file
+ * @param {Array<string>} inputs - URLs or share texts
+ * @returns {Promise<number>} - Process exit code
+ */
+async function saveCommand(inputs) {
+  const { createSubmission } = await import('./services/pipeline/submission.js');
+  const { processEmailData } = await import('./services/pipeline/post-pipeline.js');
+
+  if (inputs.length === 0) {
+    console.error('No URLs given.\n');
+    console.error(USAGE);
+    return 1;
+  }
+
+  let failures = 0;
+  for (const input of inputs) {
+    const submission = createSubmission(input, { source: 'cli' });
+    if (!submission) {
+      console.error(`Unsupported URL: ${input}`);
+      failures++;
+      continue;
+    }
+
+    try {
+      const result = await processEmailData(submission, { fallback: false });
+      const status = result.skipped ? 'already saved' : 'saved';
+      console.log(`${status}\t${result.mdFilePath}\t${submission.url}`);
+    } catch (error) {
+      console.error(`Failed to save ${submission.url}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Inspect or requeue dead-lettered jobs
+ * @param {string} action - `dead` or `retry`
+ * @param {Array<string>} ids - Job ids for `retry`
+ * @returns {Promise<number>} - Process exit code
+ */
+async function jobsCommand(action, ids) {
+  const { createJobQueue } = await import('./services/queue/job-queue.js');
+  const jobQueue = createJobQueue();
+
+  if (action === 'dead') {
+    for (const job of jobQueue.listDeadLetters()) {
+      console.log(`${job.id}\t${job.attempts}\t${job.url}\t${job.lastError}`);
+    }
+    return 0;
+  }
+
+  if (action === 'retry') {
+    if (!options.all && ids.length === 0) {
+      console.error('No job ids given.\n');
+      console.error(USAGE);
+      return 1;
+    }
+
+    const retryIds = options.all ? jobQueue.listDeadLetters().map(job => job.id) : ids;
+    let failures = 0;
+    for (const id of retryIds) {
+      if (jobQueue.retryDeadLetter(id)) {
+        console.log(`requeued\t${id}`);
+      } else {
+        console.error(`No dead-lettered job with id ${id}`);
+        failures++;
+      }
+    }
+    return failures > 0 ? 1 : 0;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+/**
+ * Check the --since and --until options, printing an error for an invalid date
+ * @returns {boolean} - Whether both are unset or valid dates
+ */
+function validateDateOptions() {
+  for (const value of [options.since, options.until]) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      console.error(`Invalid date: ${value}`);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Render saved posts again from their sidecars
+ * @param {Array<string>} ids - Post ids to render, all posts if empty
+ * @returns {Promise<number>} - Process exit code
+ */
+async function rerenderCommand(ids) {
+  const { rerenderArchive } = await import('./services/pipeline/rerender.js');
+
+  if (!validateDateOptions()) return 1;
+
+  const dryRun = Boolean(options['dry-run']);
+  const results = await rerenderArchive(
+    { platform: options.platform, ids, since: options.since, until: options.until },
+    { reparse: Boolean(options.reparse), dryRun }
+  );
+
+  for (const result of results) {
+    if (result.status === 'failed') {
+      console.error(`failed\t${result.mdFilePath}\t${result.error}`);
+    } else {
+      console.log(`${dryRun ? 'would render' : 'rendered'}\t${result.mdFilePath}`);
+    }
+  }
+
+  return results.some(result => result.status === 'failed') ? 1 : 0;
+}
+
+/**
+ * Export saved posts to an HTML file or an EPUB digest
+ * @param {string} format - `html` or `epub`
+ * @param {Array<string>} ids - Post ids to export, all matching posts if empty
+ * @returns {Promise<number>} - Process exit code
+ */
+async function exportCommand(format, ids) {
+  const { exportPosts, EXPORT_FORMATS } = await import('./services/export/exporter.js');
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (!validateDateOptions()) return 1;
+
+  const outputPath = options.output || `weibo-saver-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const result = await exportPosts(
+    format,
+    { platform: options.platform, ids, since: options.since, until: options.until, author: options.author },
+    { outputPath, title: options.title }
+  );
+
+  console.log(`exported\t${result.posts}\t${result.outputPath}`);
+  return 0;
+}
+
+/**
+ * Format a byte count for people
+ * @param {number} bytes - Byte count
+ * @returns {string} - e.g. 1.5 MB
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Report on or clean up the media store
+ * @param {string} action - `report` or `gc`
+ * @returns {Promise<number>} - Process exit code
+ */
+async function mediaCommand(action) {
+  const { getStoreReport, collectGarbage } = await import('./services/storage/media-store.js');
+
+  if (action === 'report') {
+    const report = await getStoreReport();
+    console.log(`files\t${report.files}\t${formatBytes(report.bytes)}`);
+    console.log(`references\t${report.references}`);
+    console.log(`saved\t${formatBytes(report.savedBytes)}`);
+    console.log(`unused\t${report.unusedFiles}\t${formatBytes(report.unusedBytes)}`);
+    return 0;
+  }
+
+  if (action === 'gc') {
+    const dryRun = Boolean(options['dry-run']);
+    const { deleted, bytes } = await collectGarbage({ dryRun });
+    for (const filePath of deleted) {
+      console.log(`${dryRun ? 'would delete' : 'deleted'}\t${filePath}`);
+    }
+    console.log(`${dryRun ? 'would free' : 'freed'}\t${formatBytes(bytes)}`);
+    return 0;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+/**
+ * Run the CLI
+ * @returns {Promise<number>} - Process exit code
+ */
+async function main() {
+  const [command, ...args] = positionals;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  switch (command) {
+    case 'save':
+      return saveCommand(options.file ? [...args, ...readUrlFile(options.file)] : args);
+    case 'listen':
+      // app.js starts the mail listener and job queue when it is loaded
+      await import('./app.js');
+      return null;
+    case 'jobs':
+      return jobsCommand(args[0], args.slice(1));
+    case 'rerender':
+      return rerenderCommand(args);
+    case 'export':
+      return exportCommand(args[0], args.slice(1));
+    case 'media':
+      return mediaCommand(args[0]);
+    default:
+      console.error(`Unknown command: ${command}\n`);
+      console.error(USAGE);
+      return 1;
+  }
+}
+
+main()
+  .then((exitCode) => {
+    if (exitCode !== null) process.exit(exitCode);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
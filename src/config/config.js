@@ -5,10 +5,14 @@
 import dotenv from 'dotenv';
 
 import path from 'path';
+import { fileURLToPath } from 'url';
 
 // Load environment variables from .env file
 dotenv.config();
 
+// Built-in templates ship with the code, so they are found wherever the CLI is run from
+const BUILT_IN_TEMPLATES = fileURLToPath(new URL('../templates/', import.meta.url));
+
 // Default configuration values
 const defaultConfig = {
   imap: {
@@ -27,30 +31,146 @@ const defaultConfig = {
     subjectFilter: '微博分享',
     mobileUrlPrefix: 'https://m.weibo.cn/status/',
     webUrlPrefix: 'https://weibo.com/',
-    templatePath:path.join(process.cwd(),'src/templates/weibo-template.mustache'),
+    templatePath:path.join(BUILT_IN_TEMPLATES, 'weibo-template.mustache'),
+    commentCount: 10, // Top comments to save, 0 disables comments
+    commentReplyDepth: 1, // Levels of replies to save below each comment
+    commentReplyCount: 5, // Replies to save per comment
+    maxVideoQuality: 1080, // Highest video resolution (lines) to download
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
   },
   rednote:{
     subjectFilter: '小红书',
-    templatePath:path.join(process.cwd(), 'src/templates/rednote-template.mustache'),
+    templatePath:path.join(BUILT_IN_TEMPLATES, 'rednote-template.mustache'),
   },
   storage: {
     basePath: 'saved_data',
+    indexFilename: '.post-index.json',
+    duplicatePolicy: 'skip', // skip | overwrite | version
+    mediaStore: 'off', // off | link | hardlink
+    mediaStoreDirname: 'media',
+    // Directory of each note below basePath; placeholders: {platform} {yyyy} {mm} {dd} {author} {id} {title}
+    pathPattern: '{yyyy}/{mm}/{yyyy}-{mm}-{dd}',
+    pathDate: 'saved', // saved | posted, the date {yyyy}, {mm} and {dd} stand for
+    bundle: false, // Give every post a directory of its own with index.md and its media
+  },
+  queue: {
+    filename: '.job-queue.json',
+    concurrency: 2,
+    maxAttempts: 5,
+    retryBaseDelay: 30 * 1000, // Doubled after every failed attempt
+    retryMaxDelay: 60 * 60 * 1000,
+    completedRetention: 200, // Number of finished jobs kept for status lookups
+  },
+  download: {
+    concurrency: 4, // Media files downloaded at the same time, across all jobs
+    retries: 3, // Extra attempts after timeouts, connection errors, 429s and 5xx responses
+    retryBaseDelay: 1000, // Doubled after every failed attempt
+    timeout: 30 * 1000, // Longest wait for a connection, the first byte or the next chunk
+  },
+  http: {
+    host: '0.0.0.0',
+    port: 10928,
+    maxBodySize: 1024 * 1024,
+  },
+  templates: {
+    directory: null, // User template directory, searched before the built-in templates
+    builtInDirectory: BUILT_IN_TEMPLATES,
+  },
+  output: {
+    mode: 'markdown', // markdown | obsidian
+    dailyNotes: false, // Link every saved post from the daily note of the day it was saved
+    dailyNotesDirectory: null, // Defaults to the storage base path
+    dailyNoteFormat: 'YYYY-MM-DD', // Daily note filename, "/" starts a subfolder
+    dailyNoteHeading: '## 收藏', // Section the links are added to, empty to append them at the end
   },
   logLevel: 'INFO', // Default log level
+  timeZone: 'Asia/Shanghai', // Timezone of post dates without an offset, and of saved timestamps
 };
 
-// Required environment variables
-const requiredEnvVars = ['IMAP_USER', 'IMAP_PASSWORD', 'IMAP_HOST', 'MAIL_ALLOWED_FROM'];
+// Environment variables required to listen for emails
+const requiredMailEnvVars = ['IMAP_USER', 'IMAP_PASSWORD', 'IMAP_HOST', 'MAIL_ALLOWED_FROM'];
+
+/**
+ * Validate the environment variables needed to listen for emails
+ * Saving posts directly (e.g. from the CLI) works without them, so this is only checked when the mail listener is created
+ * @throws {Error} - If any required variable is missing
+ */
+export function validateMailConfig() {
+  const missingEnvVars = requiredMailEnvVars.filter(varName => !process.env[varName]);
+  if (missingEnvVars.length > 0) {
+    throw new Error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
+  }
+}
+
+/**
+ * Read an integer environment variable, allowing 0
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or not a number
+ * @returns {number} - Parsed value
+ */
+function readIntEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
 
-// Validate required environment variables
-const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
-if (missingEnvVars.length > 0) {
-  throw new Error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
+/**
+ * Read a `key=value,key=value` list from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.lowerCaseKeys=false] - Lower-case the keys, e.g. for email addresses
+ * @returns {Object} - Mapping of keys to values, empty when the variable is unset
+ */
+function readMapEnv(name, { lowerCaseKeys = false } = {}) {
+  const mapping = {};
+  for (const entry of (process.env[name] || '').split(',')) {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) continue;
+    const key = entry.slice(0, separator).trim();
+    const value = entry.slice(separator + 1).trim();
+    if (key && value) mapping[lowerCaseKeys ? key.toLowerCase() : key] = value;
+  }
+  return mapping;
+}
+
+// Supported policies for posts that were already saved
+const duplicatePolicies = ['skip', 'overwrite', 'version'];
+const duplicatePolicy = (process.env.DUPLICATE_POLICY || defaultConfig.storage.duplicatePolicy).toLowerCase();
+if (!duplicatePolicies.includes(duplicatePolicy)) {
+  throw new Error(`Invalid DUPLICATE_POLICY "${duplicatePolicy}", expected one of: ${duplicatePolicies.join(', ')}`);
+}
+
+// Dates the archive path can be based on
+const pathDates = ['saved', 'posted'];
+const pathDate = (process.env.PATH_DATE || defaultConfig.storage.pathDate).toLowerCase();
+if (!pathDates.includes(pathDate)) {
+  throw new Error(`Invalid PATH_DATE "${pathDate}", expected one of: ${pathDates.join(', ')}`);
+}
+
+// Supported media store modes
+const mediaStoreModes = ['off', 'link', 'hardlink'];
+const mediaStore = (process.env.MEDIA_STORE || defaultConfig.storage.mediaStore).toLowerCase();
+if (!mediaStoreModes.includes(mediaStore)) {
+  throw new Error(`Invalid MEDIA_STORE "${mediaStore}", expected one of: ${mediaStoreModes.join(', ')}`);
+}
+
+// Supported output modes
+const outputModes = ['markdown', 'obsidian'];
+const outputMode = (process.env.OUTPUT_MODE || defaultConfig.output.mode).toLowerCase();
+if (!outputModes.includes(outputMode)) {
+  throw new Error(`Invalid OUTPUT_MODE "${outputMode}", expected one of: ${outputModes.join(', ')}`);
+}
+
+const timeZone = process.env.TIMEZONE || defaultConfig.timeZone;
+try {
+  new Intl.DateTimeFormat('en-US', { timeZone });
+} catch (error) {
+  throw new Error(`Invalid TIMEZONE "${timeZone}", expected an IANA timezone such as Asia/Shanghai`);
 }
 
 // Export configuration object
 export const config = {
   logLevel: process.env.LOG_LEVEL ? process.env.LOG_LEVEL.toUpperCase() : defaultConfig.logLevel,
+  timeZone,
   imap: {
     username: process.env.IMAP_USER,
     password: process.env.IMAP_PASSWORD,
@@ -62,12 +182,59 @@ export const config = {
   },
   weibo: {
     ...defaultConfig.weibo,
+    commentCount: readIntEnv('WEIBO_COMMENT_COUNT', defaultConfig.weibo.commentCount),
+    commentReplyDepth: readIntEnv('WEIBO_COMMENT_REPLY_DEPTH', defaultConfig.weibo.commentReplyDepth),
+    commentReplyCount: readIntEnv('WEIBO_COMMENT_REPLY_COUNT', defaultConfig.weibo.commentReplyCount),
+    maxVideoQuality: readIntEnv('WEIBO_MAX_VIDEO_QUALITY', defaultConfig.weibo.maxVideoQuality),
   },
   rednote: {
     ...defaultConfig.rednote,
   },
   storage: {
     ...defaultConfig.storage,
+    indexPath: path.join(defaultConfig.storage.basePath, defaultConfig.storage.indexFilename),
+    duplicatePolicy,
+    pathPattern: process.env.PATH_PATTERN || defaultConfig.storage.pathPattern,
+    pathDate,
+    bundle: process.env.BUNDLE_POSTS ? process.env.BUNDLE_POSTS.toLowerCase() === 'true' : defaultConfig.storage.bundle,
+    mediaStore,
+    mediaStorePath: path.join(defaultConfig.storage.basePath, defaultConfig.storage.mediaStoreDirname),
+  },
+  queue: {
+    ...defaultConfig.queue,
+    path: path.join(defaultConfig.storage.basePath, defaultConfig.queue.filename),
+    concurrency: Math.max(1, readIntEnv('QUEUE_CONCURRENCY', defaultConfig.queue.concurrency)),
+    maxAttempts: Math.max(1, readIntEnv('QUEUE_MAX_ATTEMPTS', defaultConfig.queue.maxAttempts)),
+    retryBaseDelay: readIntEnv('QUEUE_RETRY_DELAY_MS', defaultConfig.queue.retryBaseDelay),
+  },
+  download: {
+    ...defaultConfig.download,
+    concurrency: Math.max(1, readIntEnv('DOWNLOAD_CONCURRENCY', defaultConfig.download.concurrency)),
+    retries: Math.max(0, readIntEnv('DOWNLOAD_RETRIES', defaultConfig.download.retries)),
+    timeout: Math.max(1, readIntEnv('DOWNLOAD_TIMEOUT_MS', defaultConfig.download.timeout)),
+  },
+  templates: {
+    ...defaultConfig.templates,
+    directory: process.env.TEMPLATE_DIR ? path.resolve(process.env.TEMPLATE_DIR) : defaultConfig.templates.directory,
+    // Template names chosen by the #tag in the email subject, the sender, or the platform, in that order
+    byTag: readMapEnv('TEMPLATE_BY_TAG'),
+    bySender: readMapEnv('TEMPLATE_BY_SENDER', { lowerCaseKeys: true }),
+    byPlatform: readMapEnv('TEMPLATE_BY_PLATFORM'),
+  },
+  output: {
+    ...defaultConfig.output,
+    mode: outputMode,
+    dailyNotes: process.env.DAILY_NOTES ? process.env.DAILY_NOTES.toLowerCase() === 'true' : defaultConfig.output.dailyNotes,
+    dailyNotesDirectory: path.resolve(process.env.DAILY_NOTES_DIR || defaultConfig.output.dailyNotesDirectory || defaultConfig.storage.basePath),
+    dailyNoteFormat: process.env.DAILY_NOTE_FORMAT || defaultConfig.output.dailyNoteFormat,
+    dailyNoteHeading: process.env.DAILY_NOTE_HEADING !== undefined ? process.env.DAILY_NOTE_HEADING.trim() : defaultConfig.output.dailyNoteHeading,
+  },
+  http: {
+    ...defaultConfig.http,
+    host: process.env.HTTP_HOST || defaultConfig.http.host,
+    port: readIntEnv('HTTP_PORT', defaultConfig.http.port),
+    // The HTTP API is only started when a token is configured
+    token: process.env.HTTP_API_TOKEN || null,
   },
 };
 
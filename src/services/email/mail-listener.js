@@ -7,7 +7,7 @@ import { EventEmitter } from 'events';
 import { simpleParser } from 'mailparser';
 import fs from 'fs';
 import async from 'async';
-import { config } from '../../config/config.js';
+import { config, validateMailConfig } from '../../config/config.js';
 import { logger } from '../../utils/logger.js';
 
 export class MailListener extends EventEmitter {
@@ -152,7 +152,9 @@ export class MailListener extends EventEmitter {
 /**
  * Create a mail listener instance with the application configuration
  * @returns {MailListener} Configured mail listener instance
+ * @throws {Error} - If the IMAP configuration is incomplete
  */
 export function createMailListener() {
+  validateMailConfig();
   return new MailListener(config.imap);
 }
\ No newline at end of file
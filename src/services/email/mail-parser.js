@@ -2,7 +2,7 @@
  * Email parsing service for the Weibo Saver application
  * Extracts relevant information from incoming emails
  */
-import { extractWeiboUrlFromMailBody, extractRedNoteUrl, isRedNoteShare } from '../../utils/text-processor.js';
+import { detectPlatformForEmail } from '../platforms/index.js';
 import { logger } from '../../utils/logger.js';
 import { config } from '../../config/config.js';
 
@@ -18,7 +18,6 @@ export function parseEmail(mail) {
     const subject = mail.subject;
     const mailBody = mail.html;
 
-    
     // Check if the email is from an allowed sender
     const allowedFrom = config.mail.allowedFrom;
     if (!allowedFrom.includes(fromAddress)) {
@@ -26,50 +25,27 @@ export function parseEmail(mail) {
       return null;
     }
 
-    // Check for RedNote content
-    const redNoteSubjectFilter = config.rednote.subjectFilter;
-    if (subject.includes(redNoteSubjectFilter)) {
-      const redNoteUrl = extractRedNoteUrl(mailBody);
-      if (!redNoteUrl) {
-        logger.warn('Could not extract RedNote URL from email', {
-          from: fromAddress,
-          subject: subject
-        });
-        return null;
-      }
-
-      logger.info('Successfully parsed email with RedNote content', {
-        from: fromAddress,
-        subject: subject,
-        redNoteUrl: redNoteUrl
-      });
-
-      return {
-        fromAddress,
-        mailDate,
-        subject,
-        mailBody,
-        redNoteUrl,
-        type: 'rednote'
-      };
+    // Find the platform this email belongs to
+    const platform = detectPlatformForEmail(subject, mailBody);
+    if (!platform) {
+      logger.info('Skipping email - no platform matches', { from: fromAddress, subject });
+      return null;
     }
 
-    // Check for Weibo content
-    const weiboSubjectFilter = config.weibo.subjectFilter;
-    if (subject.includes(weiboSubjectFilter)) {
-      const weiboUrl = extractWeiboUrlFromMailBody(mailBody);
-    if (!weiboUrl) {
-      logger.warn('Could not extract Weibo URL from email', {
+    const extractedUrl = platform.extractUrl(mailBody, subject);
+    const url = extractedUrl && platform.normalizeUrl ? platform.normalizeUrl(extractedUrl) : extractedUrl;
+    if (!url) {
+      logger.warn(`Could not extract ${platform.name} URL from email`, {
         from: fromAddress,
         subject: subject
       });
       return null;
     }
 
-    logger.info('Successfully parsed email with Weibo content', {
+    logger.info(`Successfully parsed email with ${platform.name} content`, {
       from: fromAddress,
       subject: subject,
-      weiboUrl: weiboUrl
+      url: url
     });
 
     return {
@@ -77,13 +53,9 @@ export function parseEmail(mail) {
       mailDate,
       subject,
       mailBody,
-      weiboUrl,
-      type: 'weibo'
+      url,
+      type: platform.name
     };
-      
-    }
-
-    
   } catch (error) {
     logger.error('Error parsing email', error);
     return null;
@@ -103,8 +75,8 @@ export function isRelevantEmail(mail) {
     const allowedFrom = config.mail.allowedFrom;
     if (!allowedFrom.includes(fromAddress)) return false;
     
-    // Check for either RedNote or Weibo content
-    return subject.includes(redNoteSubjectFilter) || subject.includes(config.weibo.subjectFilter);
+    // Check for content from any registered platform
+    return detectPlatformForEmail(subject, mail.html) !== null;
   } catch (error) {
     logger.error('Error checking email relevance', error);
     return false;
@@ -0,0 +1,223 @@
+/**
+ * EPUB export for the Weibo Saver application
+ * Writes saved posts to an EPUB 3 digest with one chapter per post and a table of contents, for e-readers
+ */
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { v4 as uuidv4 } from 'uuid';
+import { renderPostBody } from './post-model.js';
+import { saveToFile } from '../storage/file-manager.js';
+import { getContentTypeFromExtension } from '../../utils/media-type.js';
+import { formatDatePattern } from '../../utils/date-normalizer.js';
+import { logger } from '../../utils/logger.js';
+
+// Image types every EPUB 3 reading system has to display; other images are linked instead
+const EPUB_IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.6; }
+img { max-width: 100%; height: auto; }
+blockquote { margin: 1em 0; padding-left: 1em; border-left: 3px solid #999; }
+.post-meta { color: #666; font-size: 0.9em; }
+`;
+
+/**
+ * Escape text for XML
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap a body in an XHTML document
+ * @param {string} title - Document title
+ * @param {string} body - XHTML body content
+ * @returns {string} - XHTML document
+ */
+function toXhtmlDocument(title, body) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="zh-CN" lang="zh-CN">
+<head>
+<meta charset="utf-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="../style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the chapter of a post
+ * @param {Object} post - Export post
+ * @param {string} body - The post's body as XHTML
+ * @returns {string} - XHTML chapter
+ */
+function buildChapter(post, body) {
+  const meta = [
+    post.author ? escapeXml(post.author) : null,
+    post.publishedAt ? formatDatePattern(new Date(post.publishedAt), 'YYYY-MM-DD HH:mm') : null,
+    `<a href="${escapeXml(post.url)}">${escapeXml(post.site)}</a>`
+  ].filter(Boolean).join(' · ');
+
+  return toXhtmlDocument(post.title, `<h1>${escapeXml(post.title)}</h1>
+<p class="post-meta">${meta}</p>
+${body}`);
+}
+
+/**
+ * Build the EPUB 3 navigation document
+ * @param {string} title - Book title
+ * @param {Array<Object>} chapters - Chapters as { href, title }
+ * @returns {string} - XHTML navigation document
+ */
+function buildNav(title, chapters) {
+  const items = chapters
+    .map(chapter => `<li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`)
+    .join('\n');
+
+  return toXhtmlDocument(title, `<nav epub:type="toc" id="toc">
+<h1>目录</h1>
+<ol>
+${items}
+</ol>
+</nav>`).replace('../style.css', 'style.css');
+}
+
+/**
+ * Build the EPUB 2 table of contents, for reading systems without EPUB 3 navigation
+ * @param {string} identifier - Book identifier
+ * @param {string} title - Book title
+ * @param {Array<Object>} chapters - Chapters as { href, title }
+ * @returns {string} - NCX document
+ */
+function buildNcx(identifier, title, chapters) {
+  const points = chapters.map((chapter, index) => `<navPoint id="nav-${index + 1}" playOrder="${index + 1}">
+<navLabel><text>${escapeXml(chapter.title)}</text></navLabel>
+<content src="${chapter.href}" />
+</navPoint>`).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${identifier}" /></head>
+<docTitle><text>${escapeXml(title)}</text></docTitle>
+<navMap>
+${points}
+</navMap>
+</ncx>
+`;
+}
+
+/**
+ * Build the package document
+ * @param {string} identifier - Book identifier
+ * @param {string} title - Book title
+ * @param {Array<Object>} items - Manifest items as { id, href, mediaType, properties? }
+ * @param {Array<string>} spine - Ids of the chapters in reading order
+ * @returns {string} - OPF document
+ */
+function buildPackage(identifier, title, items, spine) {
+  const manifest = items
+    .map(item => `<item id="${item.id}" href="${item.href}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''} />`)
+    .join('\n');
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="zh-CN">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${identifier}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>zh-CN</dc:language>
+<dc:creator>weibo-saver-js</dc:creator>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifest}
+</manifest>
+<spine toc="ncx">
+${spine.map(id => `<itemref idref="${id}" />`).join('\n')}
+</spine>
+</package>
+`;
+}
+
+/**
+ * Write posts to an EPUB digest
+ * Images are packed into the book; videos are linked to their original URL
+ * @param {Array<Object>} posts - Export posts from loadExportPosts
+ * @param {string} outputPath - Path of the EPUB file
+ * @param {Object} options - Options
+ * @param {string} options.title - Book title
+ * @returns {Promise<string>} - Path of the written file
+ */
+export async function writeEpubExport(posts, outputPath, { title }) {
+  const identifier = `urn:uuid:${uuidv4()}`;
+  const zip = new JSZip();
+  // The mimetype has to be the first entry, uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+</rootfiles>
+</container>
+`);
+
+  const items = [
+    { id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' },
+    { id: 'ncx', href: 'toc.ncx', mediaType: 'application/x-dtbncx+xml' },
+    { id: 'style', href: 'style.css', mediaType: 'text/css' }
+  ];
+
+  // Images are added once, however many posts use them
+  const images = new Map();
+  const imageSource = async (filePath) => {
+    const mediaType = getContentTypeFromExtension(path.extname(filePath));
+    if (!EPUB_IMAGE_TYPES.has(mediaType)) return null;
+
+    if (!images.has(filePath)) {
+      const id = `image-${images.size + 1}`;
+      const href = `images/${id}${path.extname(filePath).toLowerCase()}`;
+      zip.file(`OEBPS/${href}`, await fs.promises.readFile(filePath));
+      items.push({ id, href, mediaType });
+      images.set(filePath, href);
+    }
+    return `../${images.get(filePath)}`;
+  };
+
+  const chapters = [];
+  for (const [index, post] of posts.entries()) {
+    const id = `post-${String(index + 1).padStart(3, '0')}`;
+    const href = `posts/${id}.xhtml`;
+    const body = await renderPostBody(post, { imageSource, xhtml: true });
+
+    zip.file(`OEBPS/${href}`, buildChapter(post, body));
+    items.push({ id, href, mediaType: 'application/xhtml+xml' });
+    chapters.push({ id, href, title: post.title });
+  }
+
+  zip.file('OEBPS/style.css', STYLESHEET);
+  zip.file('OEBPS/nav.xhtml', buildNav(title, chapters));
+  zip.file('OEBPS/toc.ncx', buildNcx(identifier, title, chapters));
+  zip.file('OEBPS/content.opf', buildPackage(identifier, title, items, chapters.map(chapter => chapter.id)));
+
+  const content = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+
+  await fs.promises.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  await saveToFile(outputPath, content);
+  logger.info('Posts exported to EPUB', { outputPath, posts: posts.length, images: images.size });
+  return outputPath;
+}
+
+export default {
+  writeEpubExport
+};
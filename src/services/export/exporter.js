@@ -0,0 +1,61 @@
+/**
+ * Export service for the Weibo Saver application
+ * Exports saved posts, one, a date range or an author's, to a single HTML file or an EPUB digest
+ */
+import { loadExportPosts } from './post-model.js';
+import { writeHtmlExport } from './html-export.js';
+import { writeEpubExport } from './epub-export.js';
+import { formatDatePattern } from '../../utils/date-normalizer.js';
+
+// Writers by export format
+const EXPORT_WRITERS = {
+  html: writeHtmlExport,
+  epub: writeEpubExport
+};
+
+export const EXPORT_FORMATS = Object.keys(EXPORT_WRITERS);
+
+/**
+ * Make up a title for an export
+ * @param {Array<Object>} posts - Exported posts, oldest first
+ * @param {Object} filter - Filter the posts were chosen with
+ * @returns {string} - The post's title for a single post, otherwise the author and the dates the posts cover
+ */
+function getExportTitle(posts, filter) {
+  if (posts.length === 1) return posts[0].title;
+
+  const day = post => formatDatePattern(new Date(post.publishedAt || post.dateSaved), 'YYYY-MM-DD');
+  const first = day(posts[0]);
+  const last = day(posts[posts.length - 1]);
+  const dates = first === last ? first : `${first} – ${last}`;
+  return filter.author ? `${filter.author} · ${dates}` : `收藏 · ${dates}`;
+}
+
+/**
+ * Export saved posts
+ * @param {string} format - `html` or `epub`
+ * @param {Object} filter - Which posts to export, see loadExportPosts
+ * @param {Object} options - Options
+ * @param {string} options.outputPath - Path of the file to write
+ * @param {string} [options.title] - Title of the document, made up from the posts by default
+ * @returns {Promise<Object>} - { outputPath, posts }, the number of exported posts
+ */
+export async function exportPosts(format, filter, { outputPath, title }) {
+  const writer = EXPORT_WRITERS[format];
+  if (!writer) {
+    throw new Error(`Unknown export format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const posts = await loadExportPosts(filter);
+  if (posts.length === 0) {
+    throw new Error('No saved posts match');
+  }
+
+  await writer(posts, outputPath, { title: title || getExportTitle(posts, filter) });
+  return { outputPath, posts: posts.length };
+}
+
+export default {
+  EXPORT_FORMATS,
+  exportPosts
+};
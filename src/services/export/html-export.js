@@ -0,0 +1,72 @@
+/**
+ * HTML export for the Weibo Saver application
+ * Writes saved posts to a single self-contained HTML file, with the images inlined as data URIs
+ */
+import fs from 'fs';
+import path from 'path';
+import { renderPostBody } from './post-model.js';
+import { saveToFile } from '../storage/file-manager.js';
+import { findNamedTemplate, loadTemplate, renderTemplate } from '../storage/template-renderer.js';
+import { getContentTypeFromExtension } from '../../utils/media-type.js';
+import { formatDatePattern } from '../../utils/date-normalizer.js';
+import { logger } from '../../utils/logger.js';
+
+// Template of the HTML document, looked up in the user template directory first
+const HTML_TEMPLATE_NAME = 'export-html';
+
+/**
+ * Read an image as a data URI
+ * @param {string} filePath - Image path
+ * @returns {Promise<string>} - Data URI
+ */
+async function toDataUri(filePath) {
+  const contentType = getContentTypeFromExtension(path.extname(filePath)) || 'application/octet-stream';
+  const content = await fs.promises.readFile(filePath);
+  return `data:${contentType};base64,${content.toString('base64')}`;
+}
+
+/**
+ * Write posts to a self-contained HTML file
+ * Videos are linked to their original URL rather than inlined
+ * @param {Array<Object>} posts - Export posts from loadExportPosts
+ * @param {string} outputPath - Path of the HTML file
+ * @param {Object} options - Options
+ * @param {string} options.title - Document title
+ * @returns {Promise<string>} - Path of the written file
+ */
+export async function writeHtmlExport(posts, outputPath, { title }) {
+  const templatePath = findNamedTemplate(HTML_TEMPLATE_NAME);
+  if (!templatePath) {
+    throw new Error(`HTML export template not found: ${HTML_TEMPLATE_NAME}`);
+  }
+
+  const entries = [];
+  for (const [index, post] of posts.entries()) {
+    entries.push({
+      anchor: `post-${index + 1}`,
+      title: post.title,
+      author: post.author,
+      published_at: post.publishedAt ? formatDatePattern(new Date(post.publishedAt), 'YYYY-MM-DD HH:mm') : null,
+      url: post.url,
+      site: post.site,
+      body: await renderPostBody(post, { imageSource: toDataUri })
+    });
+  }
+
+  const html = renderTemplate(await loadTemplate(templatePath), {
+    title,
+    exported_at: formatDatePattern(new Date(), 'YYYY-MM-DD HH:mm'),
+    count: posts.length,
+    has_toc: posts.length > 1,
+    posts: entries
+  });
+
+  await fs.promises.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  await saveToFile(outputPath, html);
+  logger.info('Posts exported to HTML', { outputPath, posts: posts.length });
+  return outputPath;
+}
+
+export default {
+  writeHtmlExport
+};
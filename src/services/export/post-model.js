@@ -0,0 +1,206 @@
+/**
+ * Export post model for the Weibo Saver application
+ * Loads saved posts from their sidecars and renders their bodies as HTML, for the HTML and EPUB exports
+ */
+import fs from 'fs';
+import path from 'path';
+import { marked } from 'marked';
+import { JSDOM } from 'jsdom';
+import { getPlatform } from '../platforms/index.js';
+import { buildTemplateData } from '../pipeline/post-pipeline.js';
+import { findSidecars, readSidecar, getNotePath, matchesFilter } from '../storage/sidecar.js';
+import { findNamedTemplate, generateMarkdown } from '../storage/template-renderer.js';
+import { normalizeDate } from '../../utils/date-normalizer.js';
+import { logger } from '../../utils/logger.js';
+
+// Name of the templates post bodies are rendered with, e.g. export.weibo.mustache
+const EXPORT_TEMPLATE_NAME = 'export';
+
+// Elements of post text that could run script or change the page once the export is opened
+const UNSAFE_ELEMENTS = 'script, noscript, template, iframe, frame, frameset, object, embed, applet, style, link, meta, base, '
+  + 'form, input, button, textarea, select, svg, math';
+
+// Attributes that hold URLs
+const URL_ATTRIBUTES = new Set(['href', 'src', 'srcset', 'action', 'formaction', 'poster', 'background', 'xlink:href']);
+
+/**
+ * Remove what could run script from rendered post text
+ * Posts can contain raw HTML (Weibo's escaped `&lt;script&gt;` is plain text again after conversion), which
+ * Markdown passes through
+ * @param {Element} container - Element holding the rendered body
+ */
+function sanitizeBody(container) {
+  container.querySelectorAll(UNSAFE_ELEMENTS).forEach(element => element.remove());
+
+  for (const element of container.querySelectorAll('*')) {
+    for (const { name, value } of [...element.attributes]) {
+      const unsafeUrl = URL_ATTRIBUTES.has(name) && /^(javascript|vbscript|data):/i.test(value.replace(/[\s\u0000-\u001f]+/g, ''));
+      if (name.startsWith('on') || name === 'style' || unsafeUrl) {
+        element.removeAttribute(name);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a link points to a local file rather than a URL
+ * @param {string} link - Link from the rendered body
+ * @returns {boolean} - Whether the link is a relative path
+ */
+function isLocalLink(link) {
+  return Boolean(link) && !/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(link);
+}
+
+/**
+ * Decode a percent-encoded link, keeping it as it is if it is not valid
+ * @param {string} link - Link
+ * @returns {string} - Decoded link
+ */
+function decodeLink(link) {
+  try {
+    return decodeURI(link);
+  } catch (error) {
+    return link;
+  }
+}
+
+/**
+ * Load a saved post for export
+ * @param {string} sidecarPath - Path of the post's sidecar
+ * @param {Object} sidecar - Sidecar content
+ * @returns {Promise<Object>} - Export post, see loadExportPosts
+ */
+async function loadExportPost(sidecarPath, sidecar) {
+  const platform = getPlatform(sidecar.platform);
+  if (!platform) {
+    throw new Error(`No platform registered for type: ${sidecar.platform}`);
+  }
+
+  const templatePath = findNamedTemplate(EXPORT_TEMPLATE_NAME, platform);
+  if (!templatePath) {
+    throw new Error(`No export template for platform: ${platform.name}`);
+  }
+
+  const images = sidecar.media?.images || [];
+  const videos = sidecar.media?.videos || [];
+  const { templateData } = buildTemplateData(platform, sidecar.post, {
+    url: sidecar.url,
+    dateSaved: sidecar.dateSaved,
+    images,
+    videos,
+    failedMedia: sidecar.media?.failed || []
+  });
+  const markdown = await generateMarkdown(templatePath, templateData);
+
+  return {
+    id: sidecar.postId,
+    platform: platform.name,
+    site: platform.site,
+    title: templateData.title || platform.generateTitle(sidecar.post),
+    author: platform.getAuthor ? platform.getAuthor(sidecar.post) : null,
+    publishedAt: platform.getPublishedAt ? normalizeDate(platform.getPublishedAt(sidecar.post)) : null,
+    dateSaved: sidecar.dateSaved,
+    url: sidecar.url,
+    noteDirectory: path.dirname(getNotePath(sidecarPath)),
+    html: marked.parse(markdown, { breaks: true }),
+    // Original URLs by the path the note links to, so local videos can be linked to where they came from
+    mediaUrls: Object.fromEntries([...images, ...videos].map(({ url, link }) => [link, url]))
+  };
+}
+
+/**
+ * Load the saved posts that match a filter, oldest first
+ * Only posts saved with a sidecar can be exported
+ * @param {Object} [filter] - Which posts to load, all by default
+ * @param {string} [filter.platform] - Only posts of this platform
+ * @param {Array<string>} [filter.ids] - Only posts with these ids
+ * @param {string} [filter.since] - Only posts saved on or after this date
+ * @param {string} [filter.until] - Only posts saved on or before this date
+ * @param {string} [filter.author] - Only posts by this author, ignoring case
+ * @returns {Promise<Array<Object>>} - Posts as { id, platform, site, title, author, publishedAt, dateSaved, url,
+ *   noteDirectory, html, mediaUrls }, where `html` still links to the media next to the note
+ */
+export async function loadExportPosts(filter = {}) {
+  const author = filter.author ? filter.author.toLowerCase() : null;
+  const posts = [];
+
+  for (const sidecarPath of await findSidecars()) {
+    const sidecar = await readSidecar(sidecarPath);
+    if (!sidecar || !matchesFilter(sidecar, filter)) continue;
+
+    try {
+      const post = await loadExportPost(sidecarPath, sidecar);
+      if (author && String(post.author || '').toLowerCase() !== author) continue;
+      posts.push(post);
+    } catch (error) {
+      logger.error('Error loading post for export', { sidecarPath, error: error.message });
+    }
+  }
+
+  const sortDate = post => new Date(post.publishedAt || post.dateSaved).getTime() || 0;
+  return posts.sort((a, b) => sortDate(a) - sortDate(b));
+}
+
+/**
+ * Render a post's body for an export, with its media resolved for the export format
+ * Scripts, event handlers and `javascript:` links in the post text are removed, and only the post's own
+ * downloaded media is read from disk. Images are passed to `imageSource`; images it cannot use are replaced
+ * by a link to their original URL.
+ * Links to local videos and motion clips point to their original URL instead
+ * @param {Object} post - Export post from loadExportPosts
+ * @param {Object} options - Options
+ * @param {Function} options.imageSource - Called with an image's file path, resolves to the `src` to use or null
+ * @param {boolean} [options.xhtml=false] - Serialize as XHTML, e.g. for EPUB
+ * @returns {Promise<string>} - Body HTML
+ */
+export async function renderPostBody(post, { imageSource, xhtml = false }) {
+  const { document, XMLSerializer } = new JSDOM('').window;
+  const container = document.createElement('div');
+  container.className = 'post-body';
+  container.innerHTML = post.html;
+  sanitizeBody(container);
+
+  for (const image of [...container.querySelectorAll('img')]) {
+    const src = image.getAttribute('src');
+    if (!isLocalLink(src)) continue;
+
+    // Raw HTML in the text could point anywhere on disk, so only the post's own media is read
+    const link = decodeLink(src);
+    const filePath = path.resolve(post.noteDirectory, link);
+    const source = post.mediaUrls[link] && fs.existsSync(filePath) ? await imageSource(filePath) : null;
+    if (source) {
+      image.setAttribute('src', source);
+      continue;
+    }
+
+    // Images that cannot be embedded are linked where they came from, or dropped if that is unknown
+    const originalUrl = post.mediaUrls[link];
+    if (originalUrl) {
+      const anchor = document.createElement('a');
+      anchor.setAttribute('href', originalUrl);
+      anchor.textContent = image.getAttribute('alt') || originalUrl;
+      image.replaceWith(anchor);
+    } else {
+      image.remove();
+    }
+  }
+
+  for (const anchor of [...container.querySelectorAll('a[href]')]) {
+    const href = anchor.getAttribute('href');
+    if (!isLocalLink(href)) continue;
+
+    const originalUrl = post.mediaUrls[decodeLink(href)];
+    if (originalUrl) {
+      anchor.setAttribute('href', originalUrl);
+    } else {
+      anchor.removeAttribute('href');
+    }
+  }
+
+  return xhtml ? new XMLSerializer().serializeToString(container) : container.outerHTML;
+}
+
+export default {
+  loadExportPosts,
+  renderPostBody
+};
@@ -0,0 +1,242 @@
+/**
+ * HTTP API for the Weibo Saver application
+ * Lets other tools (iOS Shortcuts, bookmarklets, scripts) submit posts and check on their jobs
+ */
+import http from 'http';
+import crypto from 'crypto';
+import { createSubmission } from '../pipeline/submission.js';
+import { listPosts } from '../storage/post-index.js';
+import { config } from '../../config/config.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('HttpServer');
+
+/**
+ * Error with an HTTP status code, returned to the client as JSON
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, headers = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Additional response headers
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Check the request's token against the configured shared secret
+ * The token may be sent as `Authorization: Bearer <token>`, `X-Api-Token` or a `token` query parameter
+ * @param {http.IncomingMessage} req - Request
+ * @param {URL} url - Parsed request URL
+ * @param {string} token - Configured token
+ * @returns {boolean} - Whether the request is authorized
+ */
+function isAuthorized(req, url, token) {
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ')
+    ? header.slice('Bearer '.length)
+    : req.headers['x-api-token'] || url.searchParams.get('token') || '';
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Read a request body
+ * A body over the limit is rejected with a 413 that closes the connection; the rest of the body is read and
+ * thrown away rather than the socket being destroyed, so the client still gets the response
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBodySize - Maximum body size in bytes
+ * @returns {Promise<string>} - The body as text
+ */
+function readBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new HttpError(413, 'Request body too large', { Connection: 'close' }));
+        return;
+      }
+      body += chunk.toString('utf8');
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Get the submitted URL or share text from a request body
+ * Accepts JSON (`{ "url": ... }` or `{ "text": ... }`), form data with the same fields, or plain text
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} body - Request body
+ * @returns {string} - Submitted text
+ */
+function getSubmittedText(req, body) {
+  const contentType = req.headers['content-type'] || '';
+
+  if (contentType.includes('application/json')) {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (error) {
+      throw new HttpError(400, 'Invalid JSON body');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new HttpError(400, 'JSON body must be an object');
+    }
+    const text = data.url || data.text || '';
+    if (typeof text !== 'string') {
+      throw new HttpError(400, 'url and text must be strings');
+    }
+    return text;
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    const params = new URLSearchParams(body);
+    return params.get('url') || params.get('text') || '';
+  }
+
+  return body;
+}
+
+/**
+ * Public view of a job
+ * @param {Object} job - Queue job
+ * @returns {Object} - Job status without the stored email contents
+ */
+function toJobResponse(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    url: job.url,
+    status: job.status,
+    stage: job.stage || null,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    nextRunAt: job.status === 'pending' ? job.nextRunAt : null,
+    lastError: job.lastError,
+    mdFilePath: job.result ? job.result.mdFilePath : null,
+    skipped: job.result ? Boolean(job.result.skipped) : false,
+  };
+}
+
+/**
+ * Create the HTTP API server
+ * @param {Object} options - Server options
+ * @param {JobQueue} options.jobQueue - Queue that submissions are added to
+ * @param {string} options.token - Shared secret clients must send
+ * @param {number} [options.maxBodySize] - Maximum request body size in bytes
+ * @returns {http.Server} - The (not yet listening) server
+ */
+export function createHttpServer({ jobQueue, token, maxBodySize = config.http.maxBodySize }) {
+  if (!token) {
+    throw new Error('The HTTP API requires a token');
+  }
+
+  return http.createServer(async (req, res) => {
+    try {
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (error) {
+        throw new HttpError(400, 'Invalid request URL');
+      }
+
+      // Allow browser bookmarklets to call the API from other origins
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Api-Token',
+        });
+        return res.end();
+      }
+
+      if (!isAuthorized(req, url, token)) {
+        throw new HttpError(401, 'Unauthorized');
+      }
+
+      if (req.method === 'POST' && url.pathname === '/save') {
+        const body = await readBody(req, maxBodySize);
+        const text = getSubmittedText(req, body);
+        const submission = createSubmission(text, { source: 'http' });
+        if (!submission) {
+          throw new HttpError(400, 'No supported post URL found');
+        }
+
+        const job = jobQueue.enqueue(submission);
+        return sendJson(res, 202, toJobResponse(job));
+      }
+
+      const jobMatch = url.pathname.match(/^\/jobs\/([0-9a-f-]+)$/i);
+      if (req.method === 'GET' && jobMatch) {
+        const job = jobQueue.getJob(jobMatch[1]);
+        if (!job) {
+          throw new HttpError(404, 'Job not found');
+        }
+        return sendJson(res, 200, toJobResponse(job));
+      }
+
+      if (req.method === 'GET' && url.pathname === '/posts') {
+        const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 20, 500);
+        return sendJson(res, 200, { posts: listPosts(limit) });
+      }
+
+      throw new HttpError(404, 'Not found');
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendJson(res, error.statusCode, { error: error.message }, error.headers);
+      }
+      logger.error('Error handling HTTP request', { method: req.method, path: req.url, error: error.message });
+      return sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+/**
+ * Start the HTTP API with the application configuration
+ * @param {JobQueue} jobQueue - Queue that submissions are added to
+ * @returns {http.Server|null} - The listening server, or null if no token is configured
+ */
+export function startHttpServer(jobQueue) {
+  if (!config.http.token) {
+    logger.info('HTTP_API_TOKEN not set, HTTP API disabled');
+    return null;
+  }
+
+  const server = createHttpServer({ jobQueue, token: config.http.token });
+  server.on('error', (error) => {
+    logger.error('HTTP server error', error);
+  });
+  server.listen(config.http.port, config.http.host, () => {
+    logger.info('HTTP API listening', { host: config.http.host, port: config.http.port });
+  });
+  return server;
+}
+
+export default {
+  createHttpServer,
+  startHttpServer
+};
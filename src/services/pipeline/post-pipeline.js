@@ -0,0 +1,358 @@
+/**
+ * Post processing pipeline for the Weibo Saver application
+ * Runs the shared fetch → parse → download → render → save flow for any registered platform
+ */
+import path from 'path';
+import { getPlatform } from '../platforms/index.js';
+import { downloadImages, downloadVideos } from '../storage/media-downloader.js';
+import { placeMedia, isStorePath } from '../storage/media-store.js';
+import { createDirectoryStructure, ensureMediaDirectories, saveToFile, deleteFile, getNoteFilename } from '../storage/file-manager.js';
+import { findPost, recordPost, fromIndexPath } from '../storage/post-index.js';
+import { writeSidecar } from '../storage/sidecar.js';
+import { buildFrontmatter, addToDailyNote } from '../storage/obsidian.js';
+import { generateMarkdown, resolveTemplate } from '../storage/template-renderer.js';
+import { formatDateTime, normalizeDate } from '../../utils/date-normalizer.js';
+import { logger } from '../../utils/logger.js';
+import { config } from '../../config/config.js';
+
+// Posts being saved, by `platform:id`, settled when their save is done
+const postsInProgress = new Map();
+
+/**
+ * Fetch and parse a post, optionally falling back to the platform's fallback data on failure
+ * @param {Object} platform - Platform definition
+ * @param {Object} emailData - Parsed email data
+ * @param {boolean} fallback - Whether to use fallback data instead of throwing
+ * @returns {Promise<Object>} - Raw and structured post data, the reference date it was parsed with and
+ *   whether it was actually fetched
+ */
+async function fetchPostData(platform, emailData, fallback) {
+  // Relative dates on the page ("3天前") are relative to when the post was shared
+  const referenceDate = new Date(emailData.mailDate || Date.now());
+  try {
+    const rawData = await platform.fetch(emailData.url);
+    const postData = platform.parse(rawData, { referenceDate });
+    return { rawData, postData, referenceDate, fetched: true };
+  } catch (error) {
+    if (!fallback) throw error;
+    logger.error(`Error fetching or parsing ${platform.name} content, using fallback`, error);
+    return { rawData: null, postData: platform.createFallback(error, emailData.mailBody), referenceDate, fetched: false };
+  }
+}
+
+/**
+ * Build the data a platform's template is rendered with
+ * @param {Object} platform - Platform definition
+ * @param {Object} postData - Structured post data
+ * @param {Object} context - What else the note shows
+ * @param {string} context.url - Post URL
+ * @param {string} context.dateSaved - When the post was saved
+ * @param {Array<Object>} context.images - Downloaded images, including extra ones, as { url, filename, link }
+ * @param {Array<Object>} context.videos - Downloaded videos, including extra ones, as { url, filename, link }
+ * @param {Array<Object>} context.failedMedia - Media that could not be downloaded, as { kind, label, url, error }
+ * @returns {Object} - `{ templateData, postImageFiles, postVideoFiles }`, the last two being the downloads
+ *   that belong to the post itself rather than to its extra media
+ */
+export function buildTemplateData(platform, postData, { url, dateSaved, images, videos, failedMedia }) {
+  const media = platform.getMedia(postData);
+
+  // Map every original URL to the local file, relative to the note
+  const mediaMap = {};
+  [...images, ...videos].forEach(({ url: mediaUrl, link }) => { mediaMap[mediaUrl] = link; });
+
+  const postImages = new Set(media.images || []);
+  const postImageFiles = images.filter(({ url: mediaUrl }) => postImages.has(mediaUrl));
+  // Videos with alternative streams are downloaded from whichever stream worked
+  const postVideos = new Set((media.videos || []).flatMap(video => (typeof video === 'string' ? [video] : video.urls)));
+  const postVideoFiles = videos.filter(({ url: mediaUrl }) => postVideos.has(mediaUrl));
+
+  // Generate image markdown
+  const imageMarkdown = postImageFiles.map(({ filename, link }) => {
+    return `![${filename}](${link})`;
+  }).join('\n\n');
+
+  // Generate video markdown
+  const videoMarkdown = postVideoFiles.map(({ filename, link }) => {
+    return `[${filename}](${link})`;
+  }).join('\n\n');
+
+  // The same media as structured lists, so templates can lay it out themselves
+  const toMediaItem = ({ url: mediaUrl, filename, link }) => ({ name: filename, path: link, url: mediaUrl });
+
+  const platformData = platform.toTemplateData(postData, {
+    url,
+    dateSaved,
+    pics: imageMarkdown,
+    videos: videoMarkdown,
+    mediaMap
+  });
+
+  const templateData = {
+    ...platformData,
+    // Serialized frontmatter for templates that do not write their own, e.g. the Obsidian ones
+    frontmatter: buildFrontmatter({
+      title: platformData.title,
+      aliases: platformData.title ? [platformData.title] : [],
+      author: platform.getAuthor ? platform.getAuthor(postData) : null,
+      id: platform.getPostId ? platform.getPostId(postData) : null,
+      source: url,
+      site: platform.site,
+      created: platform.getPublishedAt ? normalizeDate(platform.getPublishedAt(postData)) : null,
+      saved: dateSaved,
+      tags: [platform.name, ...(platformData.tags || [])]
+    }),
+    media: {
+      images: postImageFiles.map(toMediaItem),
+      videos: postVideoFiles.map(toMediaItem),
+      failed: failedMedia
+    },
+    has_images: postImageFiles.length > 0,
+    has_videos: postVideoFiles.length > 0,
+    failed_media: failedMedia,
+    has_failed_media: failedMedia.length > 0
+  };
+
+  return { templateData, postImageFiles, postVideoFiles };
+}
+
+/**
+ * Get the date a post is filed under
+ * @param {Object} platform - Platform definition
+ * @param {Object} postData - Structured post data
+ * @param {string} dateSaved - When the post is saved, as an ISO timestamp
+ * @returns {string} - ISO timestamp in the configured timezone; the save date unless PATH_DATE is `posted`
+ *   and the post's own date is known
+ */
+function getArchiveDate(platform, postData, dateSaved) {
+  if (config.storage.pathDate !== 'posted' || !platform.getPublishedAt) return dateSaved;
+  return normalizeDate(platform.getPublishedAt(postData)) || dateSaved;
+}
+
+/**
+ * Run a task while no other task for the same post runs
+ * A post shared twice at once (by email and the HTTP API, or a double share) is then saved once: the second
+ * job waits for the first and finds the post in the index
+ * @param {string|null} key - Post key as `platform:id`, null for posts without an id
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} - Result of the task
+ */
+async function withPostLock(key, task) {
+  if (!key) return task();
+
+  while (postsInProgress.has(key)) {
+    await postsInProgress.get(key);
+  }
+
+  const running = task();
+  const settled = running.then(() => {}, () => {});
+  postsInProgress.set(key, settled);
+  try {
+    return await running;
+  } finally {
+    postsInProgress.delete(key);
+  }
+}
+
+/**
+ * Save a fetched post, applying the duplicate policy
+ * @param {Object} platform - Platform definition
+ * @param {Object} emailData - Parsed email data
+ * @param {Object} fetchedPost - Result of fetchPostData, with the post's `postId`
+ * @param {Function} onProgress - Called with the name of each stage as it starts
+ * @returns {Promise<Object>} - Result of processPost
+ */
+async function savePost(platform, emailData, { rawData, postData, referenceDate, fetched, postId }, onProgress) {
+  const existing = findPost(platform.name, postId);
+  const policy = config.storage.duplicatePolicy;
+
+  if (existing && policy === 'skip') {
+    logger.info(`Skipping ${platform.name} post, already saved`, { postId, mdFilePath: existing.mdFilePath });
+    return {
+      title: existing.title,
+      mdFilePath: fromIndexPath(existing.mdFilePath),
+      images: [],
+      videos: [],
+      postId,
+      skipped: true
+    };
+  }
+
+  // Generate title for the post
+  const title = platform.generateTitle(postData);
+  const dateSaved = formatDateTime(new Date());
+
+  // Overwriting reuses the existing note's directory, anything else gets a fresh one
+  const overwrite = Boolean(existing) && policy === 'overwrite';
+  const paths = overwrite
+    ? ensureMediaDirectories(path.dirname(fromIndexPath(existing.mdFilePath)))
+    : createDirectoryStructure({
+      platform: platform.name,
+      date: getArchiveDate(platform, postData, dateSaved),
+      author: platform.getAuthor ? platform.getAuthor(postData) : null,
+      id: postId,
+      title
+    });
+
+  // Download media
+  onProgress('downloading');
+  const media = platform.getMedia(postData);
+  const images = media.images || [];
+  const videos = media.videos || [];
+  // Extra media is downloaded with the post but placed by the template data (e.g. comment images)
+  const allImages = [...images, ...(media.extraImages || [])];
+  const allVideos = [...videos, ...(media.extraVideos || [])];
+
+  // Referer and User-Agent the platform's CDN expects
+  const downloadOptions = { headers: platform.downloadHeaders };
+  const { downloaded: downloadedImageFiles, failed: failedImages } = allImages.length > 0
+    ? await downloadImages(allImages, paths.imagePath, title, downloadOptions)
+    : { downloaded: [], failed: [] };
+  const { downloaded: downloadedVideoFiles, failed: failedVideos } = allVideos.length > 0
+    ? await downloadVideos(allVideos, paths.videoPath, title, downloadOptions)
+    : { downloaded: [], failed: [] };
+
+  // Move the files into the media store when it is enabled; `link` is the path the note uses
+  const imageDownloads = await placeMedia(downloadedImageFiles, paths.imagePath, paths.notePath);
+  const videoDownloads = await placeMedia(downloadedVideoFiles, paths.videoPath, paths.notePath);
+
+  // Media that could not be downloaded is listed in the note with its original URL, to be fetched again later
+  const failedMedia = [
+    ...failedImages.map(({ url, error }) => ({ kind: 'image', label: '图片', url, error })),
+    ...failedVideos.map(({ url, error }) => ({ kind: 'video', label: '视频', url, error }))
+  ];
+
+  // Prepare template data
+  const { templateData, postImageFiles, postVideoFiles } = buildTemplateData(platform, postData, {
+    url: emailData.url,
+    dateSaved,
+    images: imageDownloads,
+    videos: videoDownloads,
+    failedMedia
+  });
+  const downloadedImages = postImageFiles.map(({ filename }) => filename);
+  const downloadedVideos = postVideoFiles.map(({ filename }) => filename);
+
+  // Generate Markdown content
+  onProgress('rendering');
+  const templatePath = resolveTemplate(platform, emailData);
+  const markdownContent = await generateMarkdown(templatePath, templateData);
+
+  // Save content, either over the existing note or under a unique filename
+  onProgress('saving');
+  const mdFilePath = overwrite
+    ? fromIndexPath(existing.mdFilePath)
+    : path.join(paths.notePath, getNoteFilename(paths.notePath, title));
+  await saveToFile(mdFilePath, markdownContent);
+  // Everything needed to render the note again with another template, without fetching the post
+  await writeSidecar(mdFilePath, {
+    platform: platform.name,
+    url: emailData.url,
+    postId,
+    fetched,
+    // The template is chosen again from these when re-rendering
+    email: { fromAddress: emailData.fromAddress || null, subject: emailData.subject || '' },
+    dateSaved,
+    referenceDate: formatDateTime(referenceDate),
+    raw: rawData,
+    post: postData,
+    media: { images: imageDownloads, videos: videoDownloads, failed: failedMedia }
+  });
+
+  if (config.output.dailyNotes) {
+    try {
+      await addToDailyNote({ mdFilePath, title, dateSaved });
+    } catch (error) {
+      // The post itself is saved, a missing daily note link is not worth retrying the job for
+      logger.error('Error adding post to daily note', { mdFilePath, error: error.message });
+    }
+  }
+
+  if (overwrite) {
+    // The note now links to the fresh downloads, so the previous copies can go;
+    // stored media may be shared with other notes and is left to `media gc`
+    const previousMedia = [...(existing.images || []), ...(existing.videos || [])]
+      .map(fromIndexPath)
+      .filter(mediaPath => !isStorePath(mediaPath));
+    await Promise.all(previousMedia.map(mediaPath => deleteFile(mediaPath)));
+  }
+
+  if (postId) {
+    await recordPost(platform.name, postId, {
+      url: emailData.url,
+      title,
+      mdFilePath,
+      images: imageDownloads.map(({ filePath }) => filePath),
+      videos: videoDownloads.map(({ filePath }) => filePath),
+      failedMedia: failedMedia.map(({ kind, url, error }) => ({ kind, url, error }))
+    });
+  }
+
+  logger.info(`Successfully processed and saved ${platform.name} post`, {
+    title,
+    mdFilePath,
+    imageCount: downloadedImages.length,
+    videoCount: downloadedVideos.length,
+    failedMediaCount: failedMedia.length
+  });
+
+  return {
+    title,
+    mdFilePath,
+    images: downloadedImages,
+    videos: downloadedVideos,
+    failedMedia,
+    postId,
+    skipped: false
+  };
+}
+
+/**
+ * Process a post with the given platform
+ * @param {Object} platform - Platform definition from the registry
+ * @param {Object} emailData - Parsed email data, must contain `url`
+ * @param {Object} [options] - Processing options
+ * @param {boolean} [options.fallback=true] - Save a fallback note when fetching fails instead of throwing
+ * @param {Function} [options.onProgress] - Called with the name of each stage as it starts
+ * @returns {Promise<Object>} - Title, saved Markdown path, downloaded media filenames and media that failed to download
+ */
+export async function processPost(platform, emailData, options = {}) {
+  const { fallback = true, onProgress = () => {} } = options;
+
+  try {
+    logger.info(`Processing ${platform.name} post`, { url: emailData.url });
+
+    onProgress('fetching');
+    const { rawData, postData, referenceDate, fetched } = await fetchPostData(platform, emailData, fallback);
+
+    // Posts are looked up in the index by id, one save per post at a time; fallback notes are never de-duplicated
+    const postId = fetched && platform.getPostId ? platform.getPostId(postData) : null;
+    const fetchedPost = { rawData, postData, referenceDate, fetched, postId };
+    return await withPostLock(
+      postId ? `${platform.name}:${postId}` : null,
+      () => savePost(platform, emailData, fetchedPost, onProgress)
+    );
+  } catch (error) {
+    logger.error(`Error processing ${platform.name} post`, { error: error.message, url: emailData.url });
+    throw error;
+  }
+}
+
+/**
+ * Process parsed email data with the platform named by its `type`
+ * @param {Object} emailData - Parsed email data from parseEmail
+ * @param {Object} [options] - Processing options, see processPost
+ * @returns {Promise<Object>} - Result of processPost
+ */
+export async function processEmailData(emailData, options) {
+  const platform = getPlatform(emailData.type);
+  if (!platform) {
+    throw new Error(`No platform registered for type: ${emailData.type}`);
+  }
+  return processPost(platform, emailData, options);
+}
+
+export default {
+  buildTemplateData,
+  processPost,
+  processEmailData
+};
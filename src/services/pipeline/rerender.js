@@ -0,0 +1,91 @@
+/**
+ * Re-render service for the Weibo Saver application
+ * Regenerates saved notes from their sidecars with the current templates, without fetching anything
+ */
+import { getPlatform } from '../platforms/index.js';
+import { buildTemplateData } from './post-pipeline.js';
+import { findSidecars, readSidecar, writeSidecar, getNotePath, matchesFilter } from '../storage/sidecar.js';
+import { saveToFile } from '../storage/file-manager.js';
+import { generateMarkdown, resolveTemplate } from '../storage/template-renderer.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Render a saved post again from its sidecar
+ * @param {string} sidecarPath - Path of the sidecar
+ * @param {Object} sidecar - Sidecar content
+ * @param {Object} options - Options, see rerenderArchive
+ * @returns {Promise<void>}
+ */
+async function rerenderPost(sidecarPath, sidecar, options) {
+  const platform = getPlatform(sidecar.platform);
+  if (!platform) {
+    throw new Error(`No platform registered for type: ${sidecar.platform}`);
+  }
+
+  // Parsing again picks up parser changes too; fallback notes have nothing to parse
+  const reparse = options.reparse && sidecar.fetched && sidecar.raw;
+  const postData = reparse
+    ? platform.parse(sidecar.raw, { referenceDate: new Date(sidecar.referenceDate || sidecar.dateSaved) })
+    : sidecar.post;
+
+  const { templateData } = buildTemplateData(platform, postData, {
+    url: sidecar.url,
+    dateSaved: sidecar.dateSaved,
+    images: sidecar.media?.images || [],
+    videos: sidecar.media?.videos || [],
+    failedMedia: sidecar.media?.failed || []
+  });
+  const markdownContent = await generateMarkdown(resolveTemplate(platform, sidecar.email), templateData);
+
+  if (options.dryRun) return;
+
+  const mdFilePath = getNotePath(sidecarPath);
+  await saveToFile(mdFilePath, markdownContent);
+  if (reparse) {
+    const { version, ...content } = sidecar;
+    await writeSidecar(mdFilePath, { ...content, post: postData });
+  }
+}
+
+/**
+ * Regenerate the Markdown of saved posts from their sidecars with the current templates
+ * Notes saved before sidecars were written cannot be re-rendered and are not found
+ * @param {Object} [filter] - Which posts to render, all by default
+ * @param {string} [filter.platform] - Only posts of this platform
+ * @param {Array<string>} [filter.ids] - Only posts with these ids
+ * @param {string} [filter.since] - Only posts saved on or after this date
+ * @param {string} [filter.until] - Only posts saved on or before this date
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.reparse=false] - Parse the stored raw payload again instead of using the stored post
+ * @param {boolean} [options.dryRun=false] - Render without writing anything
+ * @returns {Promise<Array<Object>>} - One { mdFilePath, platform, postId, status, error? } per matching post,
+ *   where status is `rendered` or `failed`
+ */
+export async function rerenderArchive(filter = {}, options = {}) {
+  const results = [];
+
+  for (const sidecarPath of await findSidecars()) {
+    const sidecar = await readSidecar(sidecarPath);
+    if (!sidecar || !matchesFilter(sidecar, filter)) continue;
+
+    const result = { mdFilePath: getNotePath(sidecarPath), platform: sidecar.platform, postId: sidecar.postId };
+    try {
+      await rerenderPost(sidecarPath, sidecar, options);
+      results.push({ ...result, status: 'rendered' });
+    } catch (error) {
+      logger.error('Error re-rendering post', { sidecarPath, error: error.message });
+      results.push({ ...result, status: 'failed', error: error.message });
+    }
+  }
+
+  logger.info('Re-rendered saved posts', {
+    rendered: results.filter(result => result.status === 'rendered').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    dryRun: Boolean(options.dryRun)
+  });
+  return results;
+}
+
+export default {
+  rerenderArchive
+};
@@ -0,0 +1,32 @@
+/**
+ * Submission helpers for the Weibo Saver application
+ * Turns a URL or pasted share text from outside the mail flow into the data the pipeline expects
+ */
+import { resolvePostUrl } from '../platforms/index.js';
+
+/**
+ * Create pipeline input from a URL or share text
+ * @param {string} text - A post URL or text containing one
+ * @param {Object} [options] - Submission options
+ * @param {string} [options.source='direct'] - Where the submission came from, stored with the job
+ * @returns {Object|null} - Data shaped like parsed email data, or null if no supported URL was found
+ */
+export function createSubmission(text, options = {}) {
+  const { source = 'direct' } = options;
+  const resolved = resolvePostUrl(text);
+  if (!resolved) return null;
+
+  return {
+    fromAddress: null,
+    mailDate: new Date(),
+    subject: '',
+    mailBody: text,
+    url: resolved.url,
+    type: resolved.platform.name,
+    source
+  };
+}
+
+export default {
+  createSubmission
+};
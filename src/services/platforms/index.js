@@ -0,0 +1,13 @@
+/**
+ * Registers the built-in platforms
+ * Import this module (instead of the registry directly) to make sure all platforms are available
+ */
+import { registerPlatform } from './platform-registry.js';
+import redNotePlatform from '../rednote/rednote-platform.js';
+import weiboPlatform from '../weibo/weibo-platform.js';
+
+// Registration order is detection order: RedNote share subjects are more specific than Weibo ones
+registerPlatform(redNotePlatform);
+registerPlatform(weiboPlatform);
+
+export * from './platform-registry.js';
@@ -0,0 +1,132 @@
+/**
+ * Platform registry for the Weibo Saver application
+ * Keeps track of the supported platforms and how to detect, fetch and parse their posts
+ */
+import { logger } from '../../utils/logger.js';
+
+/**
+ * A platform definition
+ * @typedef {Object} Platform
+ * @property {string} name - Unique platform name, used as the email data type
+ * @property {string} site - Site name shown in the saved note
+ * @property {string} templatePath - Path to the platform's default Mustache template; a file of the same name in
+ *   the user template directory (TEMPLATE_DIR) replaces it
+ * @property {Function} matchesEmail - (subject, mailBody) => boolean, whether an email belongs to this platform
+ * @property {Function} matchesUrl - (url) => boolean, whether a URL belongs to this platform
+ * @property {Function} extractUrl - (mailBody, subject) => string|null, extract the post URL from an email
+ * @property {Function} [normalizeUrl] - (url) => string, turn any supported URL form into the URL to fetch
+ * @property {Object} [downloadHeaders] - Headers sent with media downloads, e.g. the Referer and User-Agent the CDN expects
+ * @property {Function} fetch - async (url) => raw data, fetch the post
+ * @property {Function} parse - (rawData, context) => structured post data; the context has `referenceDate`,
+ *   when the post was shared, to resolve relative dates against
+ * @property {Function} createFallback - (error, mailBody) => structured post data used when fetching fails
+ * @property {Function} generateTitle - (postData) => string, filename-safe title
+ * @property {Function} [getPostId] - (postData) => string|null, canonical post id used for de-duplication
+ * @property {Function} [getAuthor] - (postData) => string|null, author name for the {author} path placeholder
+ * @property {Function} [getPublishedAt] - (postData) => string|null, when the post was published, for `PATH_DATE=posted`
+ * @property {Function} getMedia - (postData) => { images, videos, extraImages?, extraVideos? },
+ *   extra media is downloaded but only placed through the media map (e.g. comment images, Live Photo clips)
+ * @property {Function} toTemplateData - (postData, context) => Object, data passed to the template;
+ *   the context has `url`, `dateSaved`, `pics`, `videos` and `mediaMap` (original URL → path relative to the note)
+ */
+
+const REQUIRED_MEMBERS = [
+  'name',
+  'templatePath',
+  'matchesEmail',
+  'matchesUrl',
+  'extractUrl',
+  'fetch',
+  'parse',
+  'createFallback',
+  'generateTitle',
+  'getMedia',
+  'toTemplateData'
+];
+
+// Registered platforms, in registration (and therefore detection) order
+const platforms = new Map();
+
+/**
+ * Register a platform
+ * @param {Platform} platform - Platform definition
+ * @returns {Platform} - The registered platform
+ */
+export function registerPlatform(platform) {
+  const missing = REQUIRED_MEMBERS.filter(member => !platform || platform[member] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Invalid platform definition, missing: ${missing.join(', ')}`);
+  }
+
+  if (platforms.has(platform.name)) {
+    logger.warn('Replacing already registered platform', { name: platform.name });
+  }
+
+  platforms.set(platform.name, platform);
+  logger.debug('Registered platform', { name: platform.name });
+  return platform;
+}
+
+/**
+ * Get a registered platform by name
+ * @param {string} name - Platform name
+ * @returns {Platform|null} - The platform or null if not registered
+ */
+export function getPlatform(name) {
+  return platforms.get(name) || null;
+}
+
+/**
+ * Get all registered platforms
+ * @returns {Array<Platform>} - Registered platforms in detection order
+ */
+export function getPlatforms() {
+  return Array.from(platforms.values());
+}
+
+/**
+ * Find the platform an email belongs to
+ * @param {string} subject - Email subject
+ * @param {string} mailBody - Email body
+ * @returns {Platform|null} - The first matching platform or null
+ */
+export function detectPlatformForEmail(subject, mailBody) {
+  return getPlatforms().find(platform => platform.matchesEmail(subject || '', mailBody || '')) || null;
+}
+
+/**
+ * Find the platform a URL belongs to
+ * @param {string} url - Post URL
+ * @returns {Platform|null} - The first matching platform or null
+ */
+export function detectPlatformForUrl(url) {
+  return getPlatforms().find(platform => platform.matchesUrl(url || '')) || null;
+}
+
+/**
+ * Find the first supported post URL in a piece of text, such as a bare URL or a pasted share message
+ * @param {string} text - Text containing a post URL
+ * @returns {Object|null} - `{ platform, url }` with the normalized URL, or null if no supported URL was found
+ */
+export function resolvePostUrl(text) {
+  const urls = (text || '').match(/https?:\/\/[^\s"'<>，。）)]+/g) || [];
+
+  for (const candidate of urls) {
+    const platform = detectPlatformForUrl(candidate);
+    if (platform) {
+      const url = platform.normalizeUrl ? platform.normalizeUrl(candidate) : candidate;
+      return { platform, url };
+    }
+  }
+
+  return null;
+}
+
+export default {
+  registerPlatform,
+  getPlatform,
+  getPlatforms,
+  detectPlatformForEmail,
+  detectPlatformForUrl,
+  resolvePostUrl
+};
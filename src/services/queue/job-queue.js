@@ -0,0 +1,371 @@
+/**
+ * Job queue service for the Weibo Saver application
+ * Persists save jobs to disk and processes them with bounded concurrency and retries
+ */
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { processEmailData } from '../pipeline/post-pipeline.js';
+import { config } from '../../config/config.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('JobQueue');
+
+// How often the queue file is checked for jobs requeued by another process, in ms
+const QUEUE_FILE_POLL_INTERVAL = 2000;
+
+export const JobStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead',
+};
+
+export class JobQueue extends EventEmitter {
+  /**
+   * Create a job queue
+   * @param {Object} options - Queue options
+   * @param {string} options.path - Path of the file the queue is persisted to
+   * @param {Function} options.processor - async (job) => result, processes a single job
+   * @param {number} [options.concurrency=1] - Maximum number of jobs processed at once
+   * @param {number} [options.maxAttempts=5] - Attempts before a job is moved to the dead-letter list
+   * @param {number} [options.retryBaseDelay=30000] - Delay before the first retry in ms, doubled after every attempt
+   * @param {number} [options.retryMaxDelay=3600000] - Upper bound for the retry delay in ms
+   * @param {number} [options.completedRetention=200] - Number of completed jobs kept for status lookups
+   */
+  constructor(options) {
+    super();
+    this.path = options.path;
+    this.processor = options.processor;
+    this.concurrency = options.concurrency || 1;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseDelay = options.retryBaseDelay || 30 * 1000;
+    this.retryMaxDelay = options.retryMaxDelay || 60 * 60 * 1000;
+    this.completedRetention = options.completedRetention || 200;
+    this.running = 0;
+    this.started = false;
+    this.timer = null;
+    this.state = this.load();
+  }
+
+  /**
+   * Load the queue from disk, resetting jobs that were interrupted by a restart
+   * @returns {Object} - Queue state with `jobs` and `deadLetters` lists
+   */
+  load() {
+    const state = this.read() || { jobs: [], deadLetters: [] };
+
+    const interrupted = state.jobs.filter(job => job.status === JobStatus.RUNNING);
+    interrupted.forEach((job) => {
+      job.status = JobStatus.PENDING;
+      job.nextRunAt = new Date().toISOString();
+    });
+    if (interrupted.length > 0) {
+      logger.info('Resuming interrupted jobs', { count: interrupted.length });
+    }
+
+    return state;
+  }
+
+  /**
+   * Read the queue file as it is on disk
+   * @returns {Object|null} - Queue state with `jobs` and `deadLetters` lists, or null if there is no readable file
+   */
+  read() {
+    if (!fs.existsSync(this.path)) return null;
+
+    try {
+      return { jobs: [], deadLetters: [], ...JSON.parse(fs.readFileSync(this.path, 'utf8')) };
+    } catch (error) {
+      logger.error('Error reading job queue', { path: this.path, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Take over jobs another process queued in the file, e.g. `jobs retry` from the CLI while the listener runs
+   * This queue's own view of the jobs it knows wins; only pending jobs it does not know, and dead-lettered
+   * jobs that were requeued after they died, are taken from the file
+   * @returns {boolean} - Whether any job was taken over
+   */
+  mergeFromDisk() {
+    const disk = this.read();
+    if (!disk) return false;
+
+    const known = new Map([...this.state.jobs, ...this.state.deadLetters].map(job => [job.id, job]));
+    let merged = false;
+
+    for (const diskJob of disk.jobs) {
+      if (diskJob.status !== JobStatus.PENDING) continue;
+
+      const job = known.get(diskJob.id);
+      const requeued = job && job.status === JobStatus.DEAD && Date.parse(diskJob.updatedAt) > Date.parse(job.updatedAt);
+      if (job && !requeued) continue;
+
+      if (requeued) {
+        this.state.deadLetters = this.state.deadLetters.filter(deadLetter => deadLetter.id !== diskJob.id);
+      }
+      this.state.jobs.push(diskJob);
+      merged = true;
+      logger.info('Job taken over from the queue file', { id: diskJob.id, url: diskJob.url });
+    }
+
+    return merged;
+  }
+
+  /**
+   * Write the queue to disk, after taking over jobs other processes added to the file
+   * Writes are synchronous so a job is durable as soon as it has been enqueued
+   */
+  persist() {
+    if (this.mergeFromDisk()) this.schedule(0);
+
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      const tempPath = `${this.path}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2), 'utf8');
+      fs.renameSync(tempPath, this.path);
+    } catch (error) {
+      logger.error('Error writing job queue', { path: this.path, error: error.message });
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} emailData - Parsed email data (or equivalent) describing the post to save
+   * @returns {Object} - The queued job
+   */
+  enqueue(emailData) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type: emailData.type,
+      url: emailData.url,
+      emailData,
+      status: JobStatus.PENDING,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: now,
+      stage: null,
+      lastError: null,
+      result: null
+    };
+
+    this.state.jobs.push(job);
+    this.persist();
+    logger.info('Job enqueued', { id: job.id, type: job.type, url: job.url });
+    this.emit('job:queued', job);
+
+    this.schedule(0);
+    return job;
+  }
+
+  /**
+   * Find a job by id, including dead-lettered jobs
+   * @param {string} id - Job id
+   * @returns {Object|null} - The job or null if unknown
+   */
+  getJob(id) {
+    return this.state.jobs.find(job => job.id === id)
+      || this.state.deadLetters.find(job => job.id === id)
+      || null;
+  }
+
+  /**
+   * List jobs that failed too often
+   * @returns {Array<Object>} - Dead-lettered jobs
+   */
+  listDeadLetters() {
+    this.refresh();
+    return [...this.state.deadLetters];
+  }
+
+  /**
+   * Read the file again when this queue is not processing jobs itself
+   * The CLI's queue only edits the file; the listener that runs the jobs may have changed it since it was loaded
+   */
+  refresh() {
+    if (this.started) return;
+    this.state = this.read() || this.state;
+  }
+
+  /**
+   * Move a dead-lettered job back into the queue with a fresh set of attempts
+   * @param {string} id - Job id
+   * @returns {Object|null} - The requeued job or null if no such dead letter exists
+   */
+  retryDeadLetter(id) {
+    this.refresh();
+    const index = this.state.deadLetters.findIndex(job => job.id === id);
+    if (index === -1) return null;
+
+    const [job] = this.state.deadLetters.splice(index, 1);
+    Object.assign(job, {
+      status: JobStatus.PENDING,
+      attempts: 0,
+      nextRunAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    this.state.jobs.push(job);
+    this.persist();
+    logger.info('Dead-lettered job requeued', { id: job.id, url: job.url });
+
+    this.schedule(0);
+    return job;
+  }
+
+  /**
+   * Start processing queued jobs
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    // Jobs requeued by another process (the CLI) are picked up even while this queue is idle
+    fs.watchFile(this.path, { interval: QUEUE_FILE_POLL_INTERVAL }, () => {
+      if (this.mergeFromDisk()) {
+        this.persist();
+        this.schedule(0);
+      }
+    });
+    logger.info('Starting job queue', {
+      pending: this.state.jobs.filter(job => job.status === JobStatus.PENDING).length,
+      deadLetters: this.state.deadLetters.length,
+      concurrency: this.concurrency
+    });
+    this.schedule(0);
+  }
+
+  /**
+   * Stop picking up new jobs; running jobs are left to finish
+   */
+  stop() {
+    logger.info('Stopping job queue');
+    this.started = false;
+    fs.unwatchFile(this.path);
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Wake the queue up after a delay
+   * @param {number} delay - Delay in ms
+   */
+  schedule(delay) {
+    if (!this.started) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.pump(), Math.max(0, delay));
+  }
+
+  /**
+   * Start as many due jobs as the concurrency limit allows and schedule the next wake-up
+   */
+  pump() {
+    this.timer = null;
+    if (!this.started) return;
+
+    const now = Date.now();
+    const due = this.state.jobs
+      .filter(job => job.status === JobStatus.PENDING && Date.parse(job.nextRunAt) <= now)
+      .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt));
+
+    while (this.running < this.concurrency && due.length > 0) {
+      this.run(due.shift());
+    }
+
+    // Wake up again when the next delayed job becomes due
+    const waiting = this.state.jobs
+      .filter(job => job.status === JobStatus.PENDING)
+      .map(job => Date.parse(job.nextRunAt));
+    if (waiting.length > 0 && this.running < this.concurrency) {
+      this.schedule(Math.min(...waiting) - now);
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   * @param {Object} job - The job to run
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    this.running++;
+    job.status = JobStatus.RUNNING;
+    job.attempts++;
+    job.updatedAt = new Date().toISOString();
+    this.persist();
+    logger.info('Running job', { id: job.id, url: job.url, attempt: job.attempts });
+    this.emit('job:started', job);
+
+    try {
+      job.result = await this.processor(job);
+      job.status = JobStatus.COMPLETED;
+      job.stage = null;
+      job.lastError = null;
+      job.updatedAt = new Date().toISOString();
+      logger.info('Job completed', { id: job.id, url: job.url });
+      this.emit('job:completed', job);
+    } catch (error) {
+      job.lastError = error.message;
+      job.stage = null;
+      job.updatedAt = new Date().toISOString();
+
+      if (job.attempts >= this.maxAttempts) {
+        job.status = JobStatus.DEAD;
+        this.state.jobs = this.state.jobs.filter(queued => queued.id !== job.id);
+        this.state.deadLetters.push(job);
+        logger.error('Job failed too often, moved to dead-letter list', { id: job.id, url: job.url, error: error.message });
+        this.emit('job:dead', job);
+      } else {
+        const delay = Math.min(this.retryBaseDelay * 2 ** (job.attempts - 1), this.retryMaxDelay);
+        job.status = JobStatus.PENDING;
+        job.nextRunAt = new Date(Date.now() + delay).toISOString();
+        logger.warn('Job failed, will retry', { id: job.id, url: job.url, attempt: job.attempts, retryInMs: delay, error: error.message });
+        this.emit('job:failed', job);
+      }
+    } finally {
+      this.running--;
+      this.pruneCompleted();
+      this.persist();
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Drop the oldest completed jobs beyond the retention limit
+   */
+  pruneCompleted() {
+    const completed = this.state.jobs.filter(job => job.status === JobStatus.COMPLETED);
+    const excess = completed.length - this.completedRetention;
+    if (excess <= 0) return;
+
+    const dropped = new Set(completed
+      .sort((a, b) => Date.parse(a.updatedAt) - Date.parse(b.updatedAt))
+      .slice(0, excess)
+      .map(job => job.id));
+    this.state.jobs = this.state.jobs.filter(job => !dropped.has(job.id));
+  }
+}
+
+/**
+ * Create a job queue that saves posts with the application configuration
+ * Jobs do not fall back to placeholder notes: a failed fetch is retried instead
+ * @returns {JobQueue} - Configured job queue instance
+ */
+export function createJobQueue() {
+  return new JobQueue({
+    ...config.queue,
+    processor: job => processEmailData(job.emailData, {
+      fallback: false,
+      onProgress: (stage) => {
+        job.stage = stage;
+      }
+    })
+  });
+}
+
+export default {
+  JobQueue,
+  JobStatus,
+  createJobQueue
+};
@@ -5,8 +5,12 @@
 import got from 'got';
 import { JSDOM } from 'jsdom';
 import { logger } from '../../utils/logger.js';
+import { extractRedNoteId, normalizeRedNoteUrl } from '../../utils/text-processor.js';
+import { extractInitialState, findStateNote, parseStateNote } from './rednote-state.js';
+import { formatDateTime } from '../../utils/date-normalizer.js';
+import { ErrorCodes, createError } from '../../utils/error-handler.js';
 
-// Constants for selectors and defaults
+// Selectors for pages without a usable initial state
 const SELECTORS = {
   text: ['.content-container','.note-card-title'],
   images: ['.note-slider-img'],
@@ -25,52 +29,121 @@ const SELECTORS = {
   title: ['.title', '.note-card-title','meta[property="og:title"]', 'h1']
 };
 
-const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Safari/605.1.15';
+const MAX_SHORT_LINK_REDIRECTS = 5;
+
+// Also sent with media downloads, the CDN refuses requests that do not look like a browser
+export const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Safari/605.1.15';
 
 /**
  * Fetch RedNote post content from a share URL
+ * The page's embedded initial state is read first; CSS selectors are only a fallback
  * @param {string} redNoteUrl - The RedNote share URL
- * @returns {Promise<Object>} - RedNote post data
+ * @returns {Promise<Object>} - RedNote post data, with the `strategy` that extracted it and the raw `state` note
  */
 export async function fetchRedNoteContent(redNoteUrl) {
   try {
     logger.info('Fetching RedNote content', { redNoteUrl });
     
-    const response = await fetchRedNotePage(redNoteUrl);
-    const document = parseHtml(response.body);
-    
-    // Extract content components
-    const textContent = extractTextContent(document);
-    const images = extractImages(document);
-    const videos = extractVideos(document);
-    const author = extractAuthor(document);
-    const createdAt = extractDate(document);
-    const title = extractTitle(document);
-    
-    // Fallback for empty content
-    if (true) {
-      const fallbackContent = findFallbackContent(document, response.body);
-      
-      // Log extraction results for debugging
-      logExtractionResults(textContent, images, videos, author, title, createdAt, fallbackContent);
-      
-      const postData = createPostData(textContent || fallbackContent, images, videos, author, createdAt, title, redNoteUrl);
-      logger.info('Successfully fetched RedNote content');
-      return postData;
-    }
+    const noteUrl = await resolveRedNoteShortLink(redNoteUrl);
+    const response = await fetchRedNotePage(noteUrl);
+    const urlId = extractRedNoteId(response.url) || extractRedNoteId(noteUrl);
     
-    // Log extraction results for debugging
-    logExtractionResults(textContent, images, videos, author, title, createdAt);
+    const stateNote = findStateNote(extractInitialState(response.body));
+    const postData = stateNote
+      ? extractFromInitialState(stateNote, redNoteUrl, urlId)
+      : extractWithSelectors(response.body, redNoteUrl, urlId);
     
-    const postData = createPostData(textContent, images, videos, author, createdAt, title, redNoteUrl);
-    logger.info('Successfully fetched RedNote content');
-    return postData;
+    logger.info('Successfully fetched RedNote content', { strategy: postData.strategy });
+    // The note as the page had it is kept for the sidecar; the parser does not read it
+    return stateNote ? { ...postData, state: stateNote } : postData;
   } catch (error) {
     logger.error('Error fetching RedNote content', { error: error.message, url: redNoteUrl });
     throw error;
   }
 }
 
+/**
+ * Build post data from the note in the page's initial state
+ * @param {Object} stateNote - Raw note from the initial state
+ * @param {string} url - Original URL
+ * @param {string|null} urlId - Note id from the page URL
+ * @returns {Object} - Structured post data
+ */
+function extractFromInitialState(stateNote, url, urlId) {
+  const note = parseStateNote(stateNote);
+  const fields = {
+    ...note,
+    id: note.id || urlId,
+    createdAt: note.publishedAt,
+    strategy: 'initial-state'
+  };
+  
+  logExtractionResults(fields);
+  return createPostData(fields, url);
+}
+
+/**
+ * Build post data by querying the page with CSS selectors
+ * @param {string} html - Page HTML
+ * @param {string} url - Original URL
+ * @param {string|null} urlId - Note id from the page URL
+ * @returns {Object} - Structured post data
+ */
+function extractWithSelectors(html, url, urlId) {
+  logger.warn('No note found in RedNote initial state, falling back to CSS selectors', { url });
+  
+  const document = parseHtml(html);
+  const fields = {
+    id: urlId,
+    text: extractTextContent(document),
+    images: extractImages(document),
+    videos: extractVideos(document),
+    noteType: extractNoteType(document),
+    author: extractAuthor(document),
+    createdAt: extractDate(document),
+    title: extractTitle(document),
+    strategy: 'selectors'
+  };
+  
+  logExtractionResults(fields);
+  return createPostData(fields, url);
+}
+
+/**
+ * Follow a xhslink.com share link to the note page it points to
+ * The redirect target carries the note id and the xsec token the page needs
+ * @param {string} url - RedNote URL
+ * @returns {Promise<string>} - Canonical note URL, or the URL itself if it is not a share link or cannot be resolved
+ */
+export async function resolveRedNoteShortLink(url) {
+  if (!/xhslink\.com\//i.test(url)) return url;
+
+  let current = url;
+  try {
+    for (let hop = 0; hop < MAX_SHORT_LINK_REDIRECTS; hop++) {
+      const response = await got.get(current, {
+        followRedirect: false,
+        throwHttpErrors: false,
+        headers: { 'User-Agent': USER_AGENT }
+      });
+      const location = response.headers.location;
+      if (!location) break;
+
+      current = new URL(location, current).toString();
+      if (extractRedNoteId(current)) {
+        const resolved = normalizeRedNoteUrl(current);
+        logger.info('Resolved RedNote short link', { url, resolved });
+        return resolved;
+      }
+    }
+  } catch (error) {
+    logger.warn('Error resolving RedNote short link', { url, error: error.message });
+  }
+
+  logger.warn('Could not resolve RedNote short link to a note, fetching it as is', { url });
+  return url;
+}
+
 /**
  * Fetch the RedNote page content
  * @param {string} url - The RedNote URL
@@ -169,72 +242,44 @@ function addImageToArray(img, images) {
 }
 
 /**
- * Extract videos from the document
+ * Extract the note's video from the document
+ * og:video describes the note itself, while <video> elements may belong to recommended notes,
+ * so only the first match is taken
  * @param {Document} document - DOM document
- * @returns {string[]} - Array of video URLs
+ * @returns {string[]} - The video URL, or an empty array
  */
 function extractVideos(document) {
-  const videos = [];
+  const metaVideoUrl = document.querySelector('meta[property="og:video"]')?.getAttribute('content');
+  if (metaVideoUrl && metaVideoUrl.includes('http')) {
+    return [metaVideoUrl];
+  }
   
-  // Try specific selectors first
   for (const selector of SELECTORS.videos) {
-    const videoElements = document.querySelectorAll(selector);
-    if (videoElements.length > 0) {
-      logger.debug('Found videos using selector', { selector, count: videoElements.length });
-      
-      videoElements.forEach(video => {
-        const videoSrc = video.getAttribute('src') || 
-                        video.getAttribute('data-src') || 
-                        video.getAttribute('data-url') || 
-                        video.getAttribute('data-video');
-                        
-        if (videoSrc && videoSrc.includes('http') && !videos.includes(videoSrc)) {
-          videos.push(videoSrc);
-        }
-      });
+    for (const video of document.querySelectorAll(selector)) {
+      const videoSrc = video.getAttribute('src') || 
+                      video.getAttribute('data-src') || 
+                      video.getAttribute('data-url') || 
+                      video.getAttribute('data-video');
       
-      if (videos.length > 0) break;
+      if (videoSrc && videoSrc.includes('http')) {
+        logger.debug('Found video using selector', { selector });
+        return [videoSrc];
+      }
     }
   }
   
-  // Check meta tags for video URLs
-  const metaVideoUrl = document.querySelector('meta[property="og:video"]')?.getAttribute('content');
-  if (metaVideoUrl && metaVideoUrl.includes('http') && !videos.includes(metaVideoUrl)) {
-    videos.push(metaVideoUrl);
-  }
-  
-  // Look for video URLs in script tags
-  extractVideosFromScripts(document, videos);
-  
-  return videos;
+  return [];
 }
 
 /**
- * Extract videos from script tags
+ * Tell video notes from image notes
  * @param {Document} document - DOM document
- * @param {string[]} videos - Array to add video URLs to
+ * @returns {string|null} - `video` or `image`, or null if the page does not say
  */
-function extractVideosFromScripts(document, videos) {
-  const scriptTags = document.querySelectorAll('script:not([src])');
-  scriptTags.forEach(script => {
-    const content = script.textContent;
-    if (content && content.includes('video') && (content.includes('{') || content.includes('['))) {
-      try {
-        // Look for JSON-like structures with video URLs
-        const videoUrlMatches = content.match(/https?:\/\/[^"'\s]+\.(?:mp4|mov|avi|flv|wmv)[^"'\s]*/gi);
-        if (videoUrlMatches) {
-          videoUrlMatches.forEach(url => {
-            if (!videos.includes(url)) {
-              videos.push(url);
-            }
-          });
-        }
-      } catch (e) {
-        // Ignore JSON parsing errors
-        logger.debug('Error parsing script content for videos', { error: e.message });
-      }
-    }
-  });
+function extractNoteType(document) {
+  const ogType = document.querySelector('meta[property="og:type"]')?.getAttribute('content');
+  if (!ogType) return null;
+  return ogType.includes('video') ? 'video' : 'image';
 }
 
 /**
@@ -267,69 +312,27 @@ function extractAuthor(document) {
 }
 
 /**
- * Extract and parse date from the document
+ * Extract the date text from the document
+ * The text is often relative ("3天前", "昨天 12:30"), so it is normalized by the parser
  * @param {Document} document - DOM document
- * @returns {string} - Formatted date (YYYY-MM-DD)
+ * @returns {string|null} - Date text as shown on the page, or null if none was found
  */
 function extractDate(document) {
-  let createdAt = null;
-  let createdAtRaw = null;
-  
   for (const selector of SELECTORS.date) {
     const element = document.querySelector(selector);
     if (element) {
-      if (selector.includes('meta')) {
-        createdAtRaw = element.getAttribute('content');
-      } else {
-        createdAtRaw = element.getAttribute('datetime') || element.textContent;
-      }
+      const createdAtRaw = selector.includes('meta')
+        ? element.getAttribute('content')
+        : element.getAttribute('datetime') || element.textContent;
       
       if (createdAtRaw && createdAtRaw.trim()) {
         logger.debug('Found date using selector', { selector, date: createdAtRaw });
-        break;
+        return createdAtRaw.trim();
       }
     }
   }
   
-  // Parse the date
-  if (createdAtRaw) {
-    createdAt = parseDate(createdAtRaw);
-  }
-  
-  // If date parsing failed, use current date
-  if (!createdAt) {
-    logger.debug('Failed to parse date, using current date');
-    createdAt = new Date().toISOString().split('T')[0];
-  }
-  
-  return createdAt;
-}
-
-/**
- * Parse date string into YYYY-MM-DD format
- * @param {string} dateStr - Raw date string
- * @returns {string|null} - Formatted date or null if parsing failed
- */
-function parseDate(dateStr) {
-  // First try: RedNote format '05-06 china'
-  const redNoteFormat = dateStr.match(/(\d{2})-(\d{2})/);
-  if (redNoteFormat) {
-    const [, month, day] = redNoteFormat;
-    const year = new Date().getFullYear();
-    return `${year}-${month}-${day}`; // Format: YYYY-MM-DD
-  } 
-  
-  // Try to parse as ISO date or other common formats
-  try {
-    const date = new Date(dateStr);
-    if (!isNaN(date.getTime())) {
-      return date.toISOString().split('T')[0]; // Format: YYYY-MM-DD
-    }
-  } catch (e) {
-    // Date parsing failed
-    logger.debug('Failed to parse date', { dateStr });
-  }
-  
+  logger.debug('No date found on RedNote page');
   return null;
 }
 
@@ -362,97 +365,51 @@ function extractTitle(document) {
   return title;
 }
 
-/**
- * Find fallback content when no content is found with selectors
- * @param {Document} document - DOM document
- * @param {string} htmlBody - Raw HTML body
- * @returns {string} - Fallback content or empty string
- */
-function findFallbackContent(document, htmlBody) {
-  if (!htmlBody) return '';
-  
-  logger.debug('No content found with selectors, analyzing HTML structure');
-  
-  // Try to extract text from the most content-dense element
-  const allElements = Array.from(document.querySelectorAll('div, article, section'));
-  let bestElement = null;
-  let maxTextLength = 0;
-  
-  allElements.forEach(el => {
-    const text = el.textContent?.trim() || '';
-    // Ignore very short texts and navigation/header elements
-    if ( 
-        text.length > 2
-        // && 
-        // !el.className.includes('nav') && 
-        // !el.className.includes('header') && 
-        // !el.className.includes('footer')
-      ) {
-      maxTextLength = text.length;
-      logger.debug('Found potential content element', {
-        element: el.tagName,
-        class: el.className,
-        contentLength: text.length,
-        content: text
-      });
-      bestElement = el;
-    }
-  });
-  
-  // if (bestElement) {
-  //   logger.debug('Found content in element', { 
-  //     element: bestElement.tagName, 
-  //     class: bestElement.className,
-  //     contentLength: bestElement.textContent.length,
-  //     content: bestElement.textContent
-  //   });
-  //   return bestElement.textContent.trim();
-  // }
-  
-  return '';
-}
-
 /**
  * Log extraction results for debugging
- * @param {string} textContent - Extracted text content
- * @param {string[]} images - Extracted image URLs
- * @param {string[]} videos - Extracted video URLs
- * @param {string} author - Extracted author
- * @param {string} title - Extracted title
- * @param {string} createdAt - Extracted date
- * @param {string} fallbackContent - Fallback content if any
+ * @param {Object} fields - Extracted post fields
  */
-function logExtractionResults(textContent, images, videos, author, title, createdAt, fallbackContent = '') {
+function logExtractionResults(fields) {
   logger.debug('Content extraction results', {
-    textContentLength: textContent?.length || 0,
-    fallbackContentLength: fallbackContent?.length || 0,
-    imagesFound: images.length,
-    videosFound: videos.length,
-    authorFound: author !== 'Unknown',
-    titleFound: title !== 'Untitled',
-    dateFound: createdAt !== null
+    strategy: fields.strategy,
+    textContentLength: fields.text?.length || 0,
+    imagesFound: fields.images.length,
+    videosFound: fields.videos.length,
+    authorFound: Boolean(fields.author) && fields.author !== 'Unknown',
+    titleFound: Boolean(fields.title) && fields.title !== 'Untitled',
+    dateFound: Boolean(fields.createdAt)
   });
 }
 
 /**
  * Create post data object
- * @param {string} text - Post text content
- * @param {string[]} images - Image URLs
- * @param {string[]} videos - Video URLs
- * @param {string} author - Post author
- * @param {string} createdAt - Post creation date
- * @param {string} title - Post title
+ * @param {Object} fields - Extracted fields: text, images, videos, author, createdAt, title, id and strategy,
+ *   plus the note details only the initial state provides
  * @param {string} url - Original URL
  * @returns {Object} - Structured post data
+ * @throws {AppError} - If a video note has no video, so the save fails and can be retried
  */
-function createPostData(text, images, videos, author, createdAt, title, url) {
+function createPostData(fields, url) {
+  if (fields.noteType === 'video' && (!fields.videos || fields.videos.length === 0)) {
+    throw createError(ErrorCodes.REDNOTE_PARSE_ERROR, `No video stream found for RedNote video note: ${url}`);
+  }
+  
   const postData = {
-    text: text || '',
-    images: images || [],
-    videos: videos || [],
-    author: author || 'Unknown',
-    createdAt: createdAt || new Date().toISOString().split('T')[0],
-    title: title || 'Untitled'
+    id: fields.id || null,
+    text: fields.text || '',
+    images: fields.images || [],
+    videos: fields.videos || [],
+    author: fields.author || 'Unknown',
+    createdAt: fields.createdAt || null,
+    title: fields.title || 'Untitled',
+    noteType: fields.noteType || null,
+    authorId: fields.authorId || null,
+    authorAvatar: fields.authorAvatar || null,
+    publishedAt: fields.publishedAt || null,
+    ipLocation: fields.ipLocation || null,
+    stats: fields.stats || null,
+    tags: fields.tags || [],
+    strategy: fields.strategy
   };
   
   // If we still have no content, add a note about it
@@ -474,8 +431,9 @@ export function createFallbackRedNoteData(error, mailBody) {
     text: `Failed to fetch RedNote content: ${error.message}\n\nOriginal email content:\n${mailBody}`,
     images: [],
     videos: [],
-    createdAt: new Date().toISOString().split('T')[0],
+    createdAt: formatDateTime(new Date()),
     author: 'Unknown',
-    title: 'Failed to Fetch Content'
+    title: 'Failed to Fetch Content',
+    tags: []
   };
 }
\ No newline at end of file
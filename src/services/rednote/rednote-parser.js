@@ -3,26 +3,54 @@
  * Handles parsing RedNote data and generating titles
  */
 import { logger } from '../../utils/logger.js';
-import { cleanRedNoteText } from '../../utils/text-processor.js';
+import { cleanRedNoteText, toTagName } from '../../utils/text-processor.js';
+import { normalizeDate, formatDateTime } from '../../utils/date-normalizer.js';
+
+const PROFILE_URL = 'https://www.xiaohongshu.com/user/profile/';
+
+/**
+ * Collect the topic tags of a note as Obsidian tags
+ * Pages read with selectors still carry the `#name[话题]#` topic markup in their text
+ * @param {Object} redNoteRawData - Raw data from RedNote fetcher
+ * @returns {Array<string>} - Unique tags without the leading #
+ */
+function collectTags(redNoteRawData) {
+  const textTopics = [...(redNoteRawData.text || '').matchAll(/#([^#\n]+?)\[话题\]#/g)].map(match => match[1]);
+  const tags = [...(redNoteRawData.tags || []), ...textTopics].map(toTagName).filter(Boolean);
+  return [...new Set(tags)];
+}
 
 /**
  * Parse raw RedNote data into a structured format
  * @param {Object} redNoteRawData - Raw data from RedNote fetcher
+ * @param {Object} [context] - Parsing context
+ * @param {Date} [context.referenceDate] - When the note was shared, relative dates are resolved against it
  * @returns {Object} - Structured RedNote data
  */
-export function parseRedNoteData(redNoteRawData) {
+export function parseRedNoteData(redNoteRawData, context = {}) {
   try {
     logger.info('Parsing RedNote data');
     
     return {
-      text: cleanRedNoteText(redNoteRawData.text),
+      text: cleanRedNoteText((redNoteRawData.text || '').replace(/#([^#\n]+?)\[话题\]#/g, '#$1')),
       images: redNoteRawData.images || [],
       videos: redNoteRawData.videos || [],
-      createdAt: redNoteRawData.createdAt || new Date().toISOString(),
+      createdAt: normalizeDate(redNoteRawData.createdAt, { referenceDate: context.referenceDate })
+        || formatDateTime(new Date()),
       author: redNoteRawData.author || 'Unknown',
-      id: redNoteRawData.id || 'unknown',
+      id: redNoteRawData.id || null,
       title: redNoteRawData.title || 'Untitled',
-      type: 'rednote'
+      type: 'rednote',
+      noteType: redNoteRawData.noteType || null,
+      authorId: redNoteRawData.authorId || null,
+      authorUrl: redNoteRawData.authorId ? PROFILE_URL + redNoteRawData.authorId : null,
+      authorAvatar: redNoteRawData.authorAvatar || null,
+      publishedAt: redNoteRawData.publishedAt || null,
+      ipLocation: redNoteRawData.ipLocation || null,
+      // Engagement counts as they were when the note was saved
+      stats: redNoteRawData.stats || null,
+      tags: collectTags(redNoteRawData),
+      strategy: redNoteRawData.strategy || null
     };
   } catch (error) {
     logger.error('Error parsing RedNote data', { error: error.message });
@@ -47,7 +75,8 @@ export function generateRedNoteFileTitle(redNoteData) {
     
     // Add author and date to make title more unique
     const author = redNoteData.author || 'Unknown';
-    const date = new Date(redNoteData.createdAt).toISOString().split('T')[0];
+    // createdAt is an ISO timestamp in the configured timezone, its date part is the local date
+    const date = String(redNoteData.createdAt).slice(0, 10);
     
     return `${title}-${author}-${date}`;
   } catch (error) {
@@ -63,7 +92,7 @@ export function generateRedNoteFileTitle(redNoteData) {
  */
 export async function processRedNotePost(emailData) {
   try {
-    logger.info('Processing RedNote post', { redNoteUrl: emailData.redNoteUrl });
+    logger.info('Processing RedNote post', { url: emailData.url });
     
     // This function is now implemented in rednote-saver.js
     // This is kept here for backward compatibility
@@ -0,0 +1,111 @@
+/**
+ * RedNote platform definition
+ * Wires the RedNote fetcher and parser into the platform registry
+ */
+import { fetchRedNoteContent, createFallbackRedNoteData, USER_AGENT } from './rednote-fetcher.js';
+import { parseRedNoteData, generateRedNoteFileTitle } from './rednote-parser.js';
+import { extractRedNoteUrl, normalizeRedNoteUrl, isRedNoteShare } from '../../utils/text-processor.js';
+import { config } from '../../config/config.js';
+
+/**
+ * Map the downloaded videos to template data, with the stream that was actually saved
+ * Videos found with selectors are plain URLs without details
+ * @param {Array<string|Object>} videos - Video URLs or parsed videos
+ * @param {Object} mediaMap - Original media URL → local path
+ * @returns {Array<Object>} - Video template data for downloaded videos
+ */
+function toVideoTemplateData(videos, mediaMap) {
+  return videos.flatMap((video) => {
+    const urls = typeof video === 'string' ? [video] : video.urls;
+    const url = urls.find(candidate => mediaMap[candidate]);
+    if (!url) return [];
+
+    const stream = (video.streams || []).find(candidate => candidate.url === url || candidate.backupUrls.includes(url));
+    const width = stream ? stream.width : video.width;
+    const height = stream ? stream.height : video.height;
+    const path = mediaMap[url];
+    return [{
+      name: path.split('/').pop(),
+      path,
+      resolution: width && height ? `${width}×${height}` : null,
+      duration: video.duration || null,
+      cover: video.cover && mediaMap[video.cover] ? mediaMap[video.cover] : null
+    }];
+  });
+}
+
+export const redNotePlatform = {
+  name: 'rednote',
+  site: 'www.xiaohongshu.com',
+  templatePath: config.rednote.templatePath,
+  // The image and video CDN answers 403 to requests without a RedNote referer
+  downloadHeaders: {
+    Referer: 'https://www.xiaohongshu.com/',
+    'User-Agent': USER_AGENT
+  },
+
+  matchesEmail(subject, mailBody) {
+    // Emails that only mention 小红书 without sharing a note are left alone
+    return subject.includes(config.rednote.subjectFilter) && isRedNoteShare(mailBody);
+  },
+
+  matchesUrl(url) {
+    return /^https?:\/\/([a-z0-9-]+\.)?(xhslink\.com|xiaohongshu\.com)\//i.test(url);
+  },
+
+  extractUrl(mailBody) {
+    return extractRedNoteUrl(mailBody);
+  },
+
+  normalizeUrl(url) {
+    return normalizeRedNoteUrl(url);
+  },
+
+  fetch: fetchRedNoteContent,
+  parse: parseRedNoteData,
+  createFallback: createFallbackRedNoteData,
+  generateTitle: generateRedNoteFileTitle,
+
+  getPostId(redNoteData) {
+    return redNoteData.id || null;
+  },
+
+  getAuthor(redNoteData) {
+    return redNoteData.author || null;
+  },
+
+  getPublishedAt(redNoteData) {
+    return redNoteData.createdAt || null;
+  },
+
+  getMedia(redNoteData) {
+    const videos = redNoteData.videos || [];
+    return {
+      images: redNoteData.images || [],
+      videos,
+      extraImages: videos.map(video => video.cover).filter(Boolean)
+    };
+  },
+
+  toTemplateData(redNoteData, { url, dateSaved, pics, videos, mediaMap }) {
+    return {
+      title: redNoteData.title,
+      date_saved: dateSaved,
+      author: redNoteData.author,
+      author_url: redNoteData.authorUrl,
+      created_at: redNoteData.createdAt,
+      url,
+      note_id: redNoteData.id,
+      note_type: redNoteData.noteType,
+      ip_location: redNoteData.ipLocation,
+      stats: redNoteData.stats,
+      tags: redNoteData.tags || [],
+      text: redNoteData.text,
+      pics,
+      videos,
+      video_details: toVideoTemplateData(redNoteData.videos || [], mediaMap)
+    };
+  }
+};
+
+export default redNotePlatform;
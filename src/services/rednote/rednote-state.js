@@ -0,0 +1,176 @@
+/**
+ * RedNote initial state parsing
+ * Reads note data from the `window.__INITIAL_STATE__` JSON embedded in note pages
+ */
+import { logger } from '../../utils/logger.js';
+import { normalizeDate } from '../../utils/date-normalizer.js';
+import { formatDuration } from '../../utils/text-processor.js';
+
+// Codecs in order of preference: h264 plays everywhere, h265 and av1 are smaller but not always supported
+const VIDEO_CODECS = ['h264', 'h265', 'av1'];
+
+/**
+ * Extract the initial state object from a RedNote page
+ * The state is a JavaScript literal, not strict JSON: it may contain `undefined` values
+ * @param {string} html - Page HTML
+ * @returns {Object|null} - The initial state, or null if the page has none
+ */
+export function extractInitialState(html) {
+  const matches = (html || '').match(/window\.__INITIAL_STATE__\s*=\s*([\s\S]*?)<\/script>/);
+  if (!matches) return null;
+
+  const literal = matches[1]
+    .trim()
+    .replace(/;$/, '')
+    .replace(/([:[,])\s*undefined(?=\s*[,}\]])/g, '$1null');
+
+  try {
+    return JSON.parse(literal);
+  } catch (error) {
+    logger.warn('Could not parse RedNote initial state', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Find the note in an initial state
+ * Desktop pages keep notes in `note.noteDetailMap`, mobile share pages in `noteData.data.noteData`
+ * @param {Object} state - Initial state
+ * @returns {Object|null} - Raw note, or null if the state has none
+ */
+export function findStateNote(state) {
+  const detailMap = state?.note?.noteDetailMap;
+  if (detailMap) {
+    const preferredId = state.note.currentNoteId || state.note.firstNoteId;
+    const entry = detailMap[preferredId] || Object.values(detailMap).find(item => item?.note?.noteId);
+    if (entry?.note?.noteId) return entry.note;
+  }
+
+  const mobileNote = state?.noteData?.data?.noteData;
+  if (mobileNote && (mobileNote.noteId || mobileNote.id)) return mobileNote;
+
+  return null;
+}
+
+/**
+ * Get the best URL of a note image
+ * @param {Object} image - Raw entry of the note's imageList
+ * @returns {string|null} - Image URL
+ */
+function getImageUrl(image) {
+  const defaultInfo = (image.infoList || []).find(info => info.imageScene === 'WB_DFT');
+  return image.urlDefault || defaultInfo?.url || image.url || image.urlPre || null;
+}
+
+/**
+ * Collect the video streams of a note
+ * @param {Object} video - Raw note video
+ * @returns {Array<Object>} - Streams as { url, backupUrls, codec, width, height, bitrate, size }
+ */
+function collectStreams(video) {
+  const stream = video?.media?.stream || {};
+
+  return VIDEO_CODECS.flatMap(codec => (stream[codec] || [])
+    .filter(item => item.masterUrl)
+    .map(item => ({
+      url: item.masterUrl,
+      backupUrls: item.backupUrls || [],
+      codec,
+      width: item.width || null,
+      height: item.height || null,
+      bitrate: item.videoBitrate || item.avgBitrate || null,
+      size: item.size || null
+    })));
+}
+
+// Codec preference when two streams have the same resolution
+const codecRank = codec => VIDEO_CODECS.indexOf(codec);
+
+/**
+ * Parse the video of a video note
+ * Streams are ordered best first: highest resolution, then most compatible codec, then highest bitrate,
+ * so the downloader can fall back down the list when a stream fails
+ * @param {Object} note - Raw note from the initial state
+ * @returns {Object|null} - Video as { urls, streams, width, height, duration, cover }, or null if the note has no stream
+ */
+function parseStateVideo(note) {
+  const streams = collectStreams(note.video).sort((a, b) =>
+    (b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0)
+    || codecRank(a.codec) - codecRank(b.codec)
+    || (b.bitrate || 0) - (a.bitrate || 0));
+  if (streams.length === 0) return null;
+
+  const [best] = streams;
+  // The first image of a video note is its cover
+  const cover = note.imageList && note.imageList[0] ? getImageUrl(note.imageList[0]) : null;
+  const seconds = note.video?.capa?.duration || note.video?.media?.video?.duration || null;
+
+  return {
+    urls: [...new Set(streams.flatMap(stream => [stream.url, ...stream.backupUrls]))],
+    streams,
+    width: best.width,
+    height: best.height,
+    duration: formatDuration(seconds),
+    cover
+  };
+}
+
+/**
+ * Turn a RedNote description into plain text
+ * Topics are marked up as `#name[话题]#` in descriptions; they are kept as `#name`
+ * @param {string} description - Raw description
+ * @returns {string} - Description text
+ */
+function cleanDescription(description) {
+  return (description || '').replace(/#([^#\n]+?)\[话题\]#/g, '#$1');
+}
+
+/**
+ * Parse the engagement counts of a note
+ * Counts are kept as RedNote shows them, which may be text such as "1.2万"
+ * @param {Object} [interactInfo] - Raw note interactInfo
+ * @returns {Object|null} - Stats as { likes, collects, comments, shares }, or null if unknown
+ */
+function parseStats(interactInfo) {
+  if (!interactInfo) return null;
+  return {
+    likes: interactInfo.likedCount ?? 0,
+    collects: interactInfo.collectedCount ?? 0,
+    comments: interactInfo.commentCount ?? 0,
+    shares: interactInfo.shareCount ?? 0
+  };
+}
+
+/**
+ * Parse a note from the initial state into the fields the fetcher returns
+ * @param {Object} note - Raw note from the initial state
+ * @returns {Object} - Note fields
+ */
+export function parseStateNote(note) {
+  const user = note.user || {};
+  const noteType = note.type === 'video' ? 'video' : 'image';
+  const video = noteType === 'video' ? parseStateVideo(note) : null;
+
+  return {
+    id: note.noteId || note.id || null,
+    noteType,
+    title: note.title || '',
+    text: cleanDescription(note.desc),
+    // Video notes only have the cover as an image, it is saved with the video
+    images: noteType === 'video' ? [] : (note.imageList || []).map(getImageUrl).filter(Boolean),
+    videos: video ? [video] : [],
+    author: user.nickname || user.nickName || '',
+    authorId: user.userId || null,
+    authorAvatar: user.avatar || user.image || null,
+    publishedAt: note.time ? normalizeDate(note.time) : null,
+    ipLocation: note.ipLocation || null,
+    stats: parseStats(note.interactInfo),
+    tags: (note.tagList || []).map(tag => tag.name).filter(Boolean)
+  };
+}
+
+export default {
+  extractInitialState,
+  findStateNote,
+  parseStateNote
+};
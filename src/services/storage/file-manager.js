@@ -7,75 +7,155 @@ import path from 'path';
 import { logger } from '../../utils/logger.js';
 import { config } from '../../config/config.js';
 
+// Placeholders of the path pattern
+const PATH_PLACEHOLDER_PATTERN = /\{(platform|yyyy|mm|dd|author|id|title)\}/g;
+
+/**
+ * Make a placeholder value safe to use as (part of) a directory name
+ * @param {string} value - Placeholder value
+ * @returns {string} - Value without path separators and characters that are invalid in filenames
+ */
+function toPathSegment(value) {
+  return String(value ?? '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '');
+}
+
+/**
+ * Fill in the configured path pattern for a post
+ * @param {Object} fields - Placeholder values
+ * @param {string} fields.platform - Platform name
+ * @param {string} fields.date - Date the path is filed under, as an ISO timestamp in the configured timezone
+ * @param {string} [fields.author] - Author name
+ * @param {string} [fields.id] - Post id
+ * @param {string} [fields.title] - Post title
+ * @returns {string} - Directory path relative to the storage base path
+ */
+export function formatArchivePath(fields) {
+  const [yyyy, mm, dd] = String(fields.date).slice(0, 10).split('-');
+  const values = {
+    platform: fields.platform,
+    yyyy,
+    mm,
+    dd,
+    author: fields.author || 'unknown',
+    id: fields.id || 'unknown',
+    title: fields.title || 'untitled'
+  };
+
+  return config.storage.pathPattern
+    .split('/')
+    .map(segment => segment.replace(PATH_PLACEHOLDER_PATTERN, (match, name) => toPathSegment(values[name])))
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .join(path.sep);
+}
+
 /**
- * Create the directory structure for storing Weibo content
+ * Create the directory structure for storing a post
+ * The note directory follows the configured path pattern. In bundle mode every post gets a directory of
+ * its own: the pattern's directory, with the title appended unless the pattern already has {id} or {title}
+ * @param {Object} fields - Placeholder values, see formatArchivePath
  * @returns {Object} - Object containing paths to created directories
  */
-export function createDirectoryStructure() {
+export function createDirectoryStructure(fields) {
   try {
     logger.info('Creating directory structure for content storage');
     
-    // Get current date for directory naming
-    const now = new Date();
-    const year = now.getFullYear().toString();
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const day = now.getDate().toString().padStart(2, '0');
-    const dateString = `${year}-${month}-${day}`;
-    
-    // Create base directory structure
     const basePath = config.storage.basePath;
-    const yearPath = path.join(basePath, year);
-    const monthPath = path.join(yearPath, month);
-    const datePath = path.join(monthPath, dateString);
-    const imagePath = path.join(datePath, 'images');
-    const videoPath = path.join(datePath, 'videos');
-    
-    // Create directories if they don't exist
-    const directories = [basePath, yearPath, monthPath, datePath, imagePath, videoPath];
-    
-    for (const dir of directories) {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-        logger.info(`Created directory: ${dir}`);
+    let notePath = path.join(basePath, formatArchivePath(fields));
+
+    if (config.storage.bundle) {
+      if (!/\{(id|title)\}/.test(config.storage.pathPattern)) {
+        notePath = path.join(notePath, toPathSegment(fields.title) || 'untitled');
       }
+      // Another post with the same title gets a numbered directory
+      const bundleName = generateUniqueFilename(path.dirname(notePath), path.basename(notePath), '');
+      notePath = path.join(path.dirname(notePath), bundleName);
     }
+
+    const paths = ensureMediaDirectories(notePath);
+    releaseFilename(notePath);
     
-    logger.info('Directory structure created successfully');
+    logger.info('Directory structure created successfully', { notePath });
     
-    return {
-      basePath,
-      yearPath,
-      monthPath,
-      datePath,
-      imagePath,
-      videoPath
-    };
+    return { basePath, ...paths };
   } catch (error) {
     logger.error('Error creating directory structure', error);
     throw error;
   }
 }
 
+/**
+ * Get the filename of a new note in a note directory
+ * @param {string} notePath - Directory of the note
+ * @param {string} title - Post title
+ * @returns {string} - `index.md` in bundle mode, otherwise a unique filename based on the title
+ */
+export function getNoteFilename(notePath, title) {
+  return config.storage.bundle ? 'index.md' : generateUniqueFilename(notePath, title);
+}
+
+/**
+ * Make sure the media directories of a note directory exist
+ * @param {string} notePath - Directory containing the note
+ * @returns {Object} - Object containing the note and media directory paths
+ */
+export function ensureMediaDirectories(notePath) {
+  const imagePath = path.join(notePath, 'images');
+  const videoPath = path.join(notePath, 'videos');
+
+  for (const dir of [notePath, imagePath, videoPath]) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      logger.info(`Created directory: ${dir}`);
+    }
+  }
+
+  return { notePath, imagePath, videoPath };
+}
+
+// Filenames handed out by generateUniqueFilename that are not written yet, so jobs running
+// at the same time never pick the same name
+const reservedPaths = new Set();
+
+// Makes temp files of the same target unique within this process
+let tempCounter = 0;
+
+/**
+ * Get a temp file path next to a file
+ * The temp file is in the same directory so it can be renamed over the file atomically
+ * @param {string} filePath - Path of the final file
+ * @returns {string} - Path of a temp file that is not used by anyone else
+ */
+export function getTempPath(filePath) {
+  tempCounter++;
+  return `${filePath}.${process.pid}-${tempCounter}.tmp`;
+}
+
 /**
  * Save content to a file
+ * The content is written to a temp file first and renamed over the file, so the file is never left half-written
  * @param {string} filePath - Path to save the file
  * @param {string} content - Content to write to the file
  * @returns {Promise<void>}
  */
-export function saveToFile(filePath, content) {
-  return new Promise((resolve, reject) => {
-    logger.info('Saving content to file', { filePath });
-    
-    fs.writeFile(filePath, content, 'utf8', (error) => {
-      if (error) {
-        logger.error('Error saving file', { filePath, error });
-        return reject(error);
-      }
-      
-      logger.info('File saved successfully', { filePath });
-      resolve();
-    });
-  });
+export async function saveToFile(filePath, content) {
+  logger.info('Saving content to file', { filePath });
+  const tempPath = getTempPath(filePath);
+
+  try {
+    await fs.promises.writeFile(tempPath, content, 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+    logger.info('File saved successfully', { filePath });
+  } catch (error) {
+    logger.error('Error saving file', { filePath, error });
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  } finally {
+    releaseFilename(filePath);
+  }
 }
 
 /**
@@ -87,8 +167,26 @@ export function fileExists(filePath) {
   return fs.existsSync(filePath);
 }
 
+/**
+ * Delete a file, ignoring files that no longer exist
+ * @param {string} filePath - Path of the file to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+    logger.info('File deleted', { filePath });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Error deleting file', { filePath, error: error.message });
+    }
+  }
+}
+
 /**
  * Generate a unique filename if the original already exists
+ * The name is reserved until it is written with saveToFile or released with releaseFilename,
+ * so a job running at the same time gets a different one
  * @param {string} basePath - Base directory path
  * @param {string} filename - Original filename
  * @param {string} extension - File extension
@@ -99,18 +197,33 @@ export function generateUniqueFilename(basePath, filename, extension = '.md') {
   let filePath = path.join(basePath, uniqueFilename);
   let counter = 1;
   
-  while (fileExists(filePath)) {
+  while (fileExists(filePath) || reservedPaths.has(path.resolve(filePath))) {
     uniqueFilename = `${filename}-${counter}${extension}`;
     filePath = path.join(basePath, uniqueFilename);
     counter++;
   }
   
+  reservedPaths.add(path.resolve(filePath));
   return uniqueFilename;
 }
 
+/**
+ * Release a filename reserved by generateUniqueFilename
+ * @param {string} filePath - Path of the reserved file
+ */
+export function releaseFilename(filePath) {
+  reservedPaths.delete(path.resolve(filePath));
+}
+
 export default {
+  formatArchivePath,
   createDirectoryStructure,
+  getNoteFilename,
+  ensureMediaDirectories,
+  getTempPath,
   saveToFile,
   fileExists,
-  generateUniqueFilename
+  deleteFile,
+  generateUniqueFilename,
+  releaseFilename
 };
\ No newline at end of file
@@ -1,104 +1,366 @@
 /**
  * Media downloading service for the Weibo Saver application
  * Handles downloading images and videos from Weibo posts
+ * Downloads share a concurrency limit, time out, are retried on transient errors and resume videos with Range requests
+ * Files are written to temp files and renamed into place once complete
  */
 import fs from 'fs';
 import path from 'path';
 import got from 'got';
+import { getTempPath, generateUniqueFilename, releaseFilename } from './file-manager.js';
+import { detectExtension, MAGIC_BYTES_LENGTH } from '../../utils/media-type.js';
 import { logger } from '../../utils/logger.js';
+import { config } from '../../config/config.js';
+
+// Responses worth another try; anything else (403, 404, ...) fails right away
+const TRANSIENT_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const TRANSIENT_ERROR_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_STREAM_PREMATURE_CLOSE'
+]);
 
 /**
- * Download an image from a URL
- * @param {string} url - The image URL
- * @param {string} imagePath - The directory to save the image to
- * @param {string} imageTitle - The filename for the image
- * @returns {Promise<Object>} - Object containing the image title
+ * Error for a failed download, tells whether trying again may help
+ */
+class DownloadError extends Error {
+  constructor(message, { url, statusCode = null, transient = false, cause } = {}) {
+    super(message);
+    this.url = url;
+    this.statusCode = statusCode;
+    this.transient = transient;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Create a limiter that runs at most `limit` tasks at the same time
+ * @param {number} limit - Maximum number of running tasks
+ * @returns {Function} - (task) => Promise, runs the async task once a slot is free
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= limit || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// Shared by every download, so concurrent jobs do not multiply the number of connections
+const limitDownload = createLimiter(config.download.concurrency);
+
+/**
+ * Wait for a while
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the size of a partly downloaded file
+ * @param {string} filePath - File path
+ * @returns {number} - Size in bytes, 0 if the file does not exist
+ */
+function getFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<Buffer>} - Up to MAGIC_BYTES_LENGTH bytes
+ */
+async function readFileHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(MAGIC_BYTES_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, MAGIC_BYTES_LENGTH, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Make a single request for a file and write the response to disk
+ * @param {string} url - File URL
+ * @param {string} filePath - Where to write the file
+ * @param {Object} options - Request options
+ * @param {Object} [options.headers] - Request headers
+ * @param {number} [options.resumeFrom=0] - Bytes already on disk; requested with a Range header and appended
+ * @param {boolean} [options.rejectText=false] - Fail on text/* responses (player pages instead of videos)
+ * @param {boolean} [options.keepPartial=false] - Keep what was written when the transfer fails, to resume from it;
+ *   otherwise the file is deleted
+ * @returns {Promise<Object>} - `{ contentType }` of the response
  */
-export function downloadImage(url, imagePath, imageTitle) {
+function requestFile(url, filePath, { headers = {}, resumeFrom = 0, rejectText = false, keepPartial = false }) {
   return new Promise((resolve, reject) => {
-    logger.info('Downloading image', { url, imageTitle });
-    
-    const readStream = got.stream(url);
-    readStream.on('response', async (res) => {
-      if (res.statusCode !== 200) {
-        logger.error('Failed to download image', { url, statusCode: res.statusCode });
+    const timeout = config.download.timeout;
+    const readStream = got.stream(url, {
+      headers: resumeFrom > 0 ? { ...headers, Range: `bytes=${resumeFrom}-` } : headers,
+      // connect: until the socket is open, response: until the first byte, socket: longest silence mid-transfer
+      timeout: { connect: timeout, response: timeout, socket: timeout },
+      retry: { limit: 0 },
+      throwHttpErrors: false
+    });
+    let writeStream = null;
+    // Set once the whole response body was read, so a body cut short is never taken for a complete file
+    let completed = false;
+    let failed = false;
+
+    // Wait for the file to be closed, so the next attempt sees everything that was written
+    const fail = (error) => {
+      failed = true;
+      if (!writeStream || writeStream.closed) return reject(error);
+      readStream.unpipe(writeStream);
+      writeStream.once('close', async () => {
+        if (!keepPartial) await fs.promises.rm(filePath, { force: true });
+        reject(error);
+      });
+      writeStream.end();
+    };
+
+    readStream.on('end', () => { completed = true; });
+
+    readStream.on('response', (res) => {
+      const contentType = res.headers['content-type'] || '';
+
+      // The whole file is already on disk
+      if (res.statusCode === 416 && resumeFrom > 0) {
         readStream.destroy();
-        return reject({ url });
+        return resolve({ contentType: null });
       }
-      
-      const imgPath = path.join(imagePath, imageTitle);
-      const writeStream = fs.createWriteStream(imgPath);
+
+      if (res.statusCode !== 200 && res.statusCode !== 206) {
+        readStream.destroy();
+        return reject(new DownloadError(`HTTP ${res.statusCode}`, {
+          url,
+          statusCode: res.statusCode,
+          transient: TRANSIENT_STATUS_CODES.has(res.statusCode)
+        }));
+      }
+
+      // Player pages are HTML, saving them as .mp4 would leave a broken video
+      if (rejectText && contentType.startsWith('text/')) {
+        readStream.destroy();
+        return reject(new DownloadError(`Unexpected content type ${contentType}`, { url }));
+      }
+
+      // A 200 to a Range request means the server sends the whole file again
+      const append = res.statusCode === 206 && resumeFrom > 0;
+      // Content-Length counts compressed bytes when the response is compressed, so it can only be checked otherwise
+      const expectedLength = res.headers['content-encoding'] ? NaN : parseInt(res.headers['content-length'], 10);
+
+      writeStream = fs.createWriteStream(filePath, { flags: append ? 'a' : 'w' });
       readStream.pipe(writeStream);
-      
+
       writeStream.on('finish', () => {
-        logger.info('Successfully downloaded image', { imageTitle });
-        resolve({ imageTitle });
+        // A failed transfer ends the file too, fail() settles the promise then
+        if (failed) return;
+        if (!completed) {
+          return reject(new DownloadError('Incomplete download, the response ended early', { url, transient: true }));
+        }
+        if (!Number.isNaN(expectedLength) && writeStream.bytesWritten !== expectedLength) {
+          return reject(new DownloadError(`Incomplete download, got ${writeStream.bytesWritten} of ${expectedLength} bytes`, {
+            url,
+            transient: true
+          }));
+        }
+        resolve({ contentType });
       });
-      
       writeStream.on('error', (error) => {
-        logger.error('Error writing image file', { url, imageTitle, error });
-        reject({ url, error });
+        readStream.destroy();
+        reject(new DownloadError(`Error writing file: ${error.message}`, { url, cause: error }));
       });
     });
-    
+
     readStream.on('error', (error) => {
-      logger.error('Error downloading image', { url, error });
-      reject({ url, error });
+      fail(new DownloadError(error.message, {
+        url,
+        transient: TRANSIENT_ERROR_CODES.has(error.code),
+        cause: error
+      }));
     });
   });
 }
 
+/**
+ * Download a file with retries
+ * The file is written to a temp file and only renamed into place once it is complete, so failed or
+ * aborted downloads never leave truncated files behind. Its extension is chosen from the file's
+ * first bytes or the Content-Type, and the name is made unique in the directory
+ * @param {string} url - File URL
+ * @param {string} directory - Directory to save the file to
+ * @param {string} filename - Preferred filename; its extension is only used when the content does not tell
+ * @param {Object} [options] - Download options
+ * @param {Object} [options.headers] - Request headers, e.g. the platform's Referer and User-Agent
+ * @param {boolean} [options.resume=false] - Continue interrupted downloads with Range requests instead of starting over
+ * @param {boolean} [options.rejectText=false] - Fail on text/* responses
+ * @returns {Promise<string>} - Name of the saved file
+ */
+async function downloadFile(url, directory, filename, options = {}) {
+  const { headers, resume = false, rejectText = false } = options;
+  const { retries, retryBaseDelay } = config.download;
+  const tempPath = getTempPath(path.join(directory, filename));
+  let contentType = null;
+
+  for (let attempt = 1; ; attempt++) {
+    const resumeFrom = resume ? getFileSize(tempPath) : 0;
+    try {
+      const response = await limitDownload(() => requestFile(url, tempPath, { headers, resumeFrom, rejectText, keepPartial: resume }));
+      contentType = response.contentType || contentType;
+      break;
+    } catch (error) {
+      if (!error.transient || attempt > retries) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+
+      const delay = retryBaseDelay * 2 ** (attempt - 1);
+      logger.warn('Download failed, retrying', { url, attempt, retryInMs: delay, resumeFrom: getFileSize(tempPath), error: error.message });
+      await sleep(delay);
+    }
+  }
+
+  const { name, ext } = path.parse(filename);
+  const extension = detectExtension({
+    bytes: await readFileHead(tempPath),
+    contentType,
+    url,
+    fallback: ext
+  });
+  const savedFilename = generateUniqueFilename(directory, name, extension);
+  const savedPath = path.join(directory, savedFilename);
+
+  try {
+    await fs.promises.rename(tempPath, savedPath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw new DownloadError(`Error saving file: ${error.message}`, { url, cause: error });
+  } finally {
+    releaseFilename(savedPath);
+  }
+
+  return savedFilename;
+}
+
+/**
+ * Download an image from a URL
+ * @param {string} url - The image URL
+ * @param {string} imagePath - The directory to save the image to
+ * @param {string} imageTitle - The preferred filename for the image, the extension follows the image's actual format
+ * @param {Object} [options] - Download options
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<Object>} - Object containing the URL and the saved image's filename as `imageTitle`
+ */
+export async function downloadImage(url, imagePath, imageTitle, options = {}) {
+  logger.info('Downloading image', { url, imageTitle });
+
+  let savedTitle;
+  try {
+    savedTitle = await downloadFile(url, imagePath, imageTitle, { headers: options.headers });
+  } catch (error) {
+    logger.error('Failed to download image', { url, statusCode: error.statusCode, error: error.message });
+    throw error;
+  }
+
+  logger.info('Successfully downloaded image', { imageTitle: savedTitle });
+  return { url, imageTitle: savedTitle };
+}
+
+/**
+ * Split settled downloads into the files that were saved and the URLs that failed
+ * @param {Array<Object>} results - Results of Promise.allSettled, in the order of the URLs
+ * @param {Array<string|Object>} urls - The requested URLs or videos
+ * @param {string} titleKey - Property of a fulfilled value that holds the filename
+ * @returns {Object} - `{ downloaded, failed }`
+ */
+function collectResults(results, urls, titleKey) {
+  const downloaded = [];
+  const failed = [];
+
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      downloaded.push({ url: result.value.url, filename: result.value[titleKey] });
+    } else {
+      const requested = urls[index];
+      const url = requested && Array.isArray(requested.urls) ? requested.urls[0] : requested;
+      failed.push({ url, error: result.reason ? result.reason.message : 'Unknown error' });
+    }
+  });
+
+  return { downloaded, failed };
+}
+
 /**
  * Download multiple images from URLs
  * @param {Array<string>} urls - Array of image URLs
  * @param {string} imagePath - The directory to save images to
  * @param {string} baseTitle - Base title to use for image filenames
- * @returns {Promise<Array<string>>} - Array of downloaded image titles
+ * @param {Object} [options] - Download options
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<Object>} - `{ downloaded, failed }`: downloaded images as { url, filename } and
+ *   failed images as { url, error }, both in the order of the URLs
  */
-export async function downloadImages(urls, imagePath, baseTitle) {
+export async function downloadImages(urls, imagePath, baseTitle, options = {}) {
   try {
     if (!urls || !Array.isArray(urls) || urls.length === 0) {
       logger.warn('No image URLs provided for download');
-      return [];
+      return { downloaded: [], failed: [] };
     }
-    
+
     logger.info('Downloading multiple images', { count: urls.length });
-    
+
     const downloadPromises = urls.map((url, index) => {
       if (!url || typeof url !== 'string') {
         logger.warn('Invalid image URL', { url });
-        return Promise.resolve({ imageTitle: null });
+        return Promise.reject(new DownloadError('Invalid image URL', { url }));
       }
-      
-      // Extract file extension or default to .jpg
-      const extension = url.match(/\.[0-9a-z]+$/i)?.[0] || '.jpg';
-      const imageTitle = `${baseTitle}-${Date.now()}-${index}${extension}`;
-      return downloadImage(url, imagePath, imageTitle);
+
+      // The extension is replaced with the image's actual format once it is downloaded
+      const imageTitle = `${baseTitle}-${Date.now()}-${index}.jpg`;
+      return downloadImage(url, imagePath, imageTitle, options);
     });
-    
+
     const results = await Promise.allSettled(downloadPromises);
-    
-    // Filter successful downloads
-    const successfulDownloads = results
-      .filter(result => result.status === 'fulfilled')
-      .map(result => result.value.imageTitle);
-    
-    // Log failed downloads
-    const failedDownloads = results
-      .filter(result => result.status === 'rejected')
-      .map(result => result.reason.url);
-    
-    if (failedDownloads.length > 0) {
-      logger.warn('Some images failed to download', { failedUrls: failedDownloads });
+    const { downloaded, failed } = collectResults(results, urls, 'imageTitle');
+
+    if (failed.length > 0) {
+      logger.warn('Some images failed to download', { failedUrls: failed.map(({ url }) => url) });
     }
-    
-    logger.info('Completed downloading images', { 
-      total: urls.length, 
-      successful: successfulDownloads.length, 
-      failed: failedDownloads.length 
+
+    logger.info('Completed downloading images', {
+      total: urls.length,
+      successful: downloaded.length,
+      failed: failed.length
     });
-    
-    return successfulDownloads;
+
+    return { downloaded, failed };
   } catch (error) {
     logger.error('Error in batch image download', error);
     throw error;
@@ -107,94 +369,108 @@ export async function downloadImages(urls, imagePath, baseTitle) {
 
 /**
  * Download a video from a URL
+ * Interrupted downloads are resumed where they stopped
  * @param {string} url - The video URL
  * @param {string} videoPath - The directory to save the video to
+ * @param {string} videoTitle - The preferred filename for the video, the extension follows the video's actual format
+ * @param {Object} [options] - Download options
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<Object>} - Object containing the URL and the saved video's filename as `videoTitle`
+ */
+export async function downloadVideo(url, videoPath, videoTitle, options = {}) {
+  logger.info('Downloading video', { url, videoTitle });
+
+  let savedTitle;
+  try {
+    savedTitle = await downloadFile(url, videoPath, videoTitle, {
+      headers: options.headers,
+      resume: true,
+      rejectText: true
+    });
+  } catch (error) {
+    logger.error('Failed to download video', { url, statusCode: error.statusCode, error: error.message });
+    throw error;
+  }
+
+  logger.info('Successfully downloaded video', { videoTitle: savedTitle });
+  return { url, videoTitle: savedTitle };
+}
+
+/**
+ * Download a video from the first of several alternative URLs that works
+ * @param {Array<string>} urls - Alternative URLs of the same video, preferred first
+ * @param {string} videoPath - The directory to save the video to
  * @param {string} videoTitle - The filename for the video
- * @returns {Promise<Object>} - Object containing the video title
+ * @param {Object} [options] - Download options, see downloadVideo
+ * @returns {Promise<Object>} - Object containing the URL that worked and the video title
  */
-export function downloadVideo(url, videoPath, videoTitle) {
-  return new Promise((resolve, reject) => {
-    logger.info('Downloading video', { url, videoTitle });
-    
-    const readStream = got.stream(url);
-    readStream.on('response', async (res) => {
-      if (res.statusCode !== 200) {
-        logger.error('Failed to download video', { url, statusCode: res.statusCode });
-        readStream.destroy();
-        return reject({ url });
+export async function downloadVideoWithFallback(urls, videoPath, videoTitle, options = {}) {
+  const candidates = (urls || []).filter(url => url && typeof url === 'string');
+  let lastError = new DownloadError('No video URL', { url: candidates[0] });
+
+  for (const [index, url] of candidates.entries()) {
+    try {
+      return await downloadVideo(url, videoPath, videoTitle, options);
+    } catch (error) {
+      lastError = error;
+      if (index < candidates.length - 1) {
+        logger.warn('Video download failed, trying next stream', { url, next: candidates[index + 1] });
       }
-      
-      const videoFilePath = path.join(videoPath, videoTitle);
-      const writeStream = fs.createWriteStream(videoFilePath);
-      readStream.pipe(writeStream);
-      
-      writeStream.on('finish', () => {
-        logger.info('Successfully downloaded video', { videoTitle });
-        resolve({ videoTitle });
-      });
-      
-      writeStream.on('error', (error) => {
-        logger.error('Error writing video file', { url, videoTitle, error });
-        reject({ url, error });
-      });
-    });
-    
-    readStream.on('error', (error) => {
-      logger.error('Error downloading video', { url, error });
-      reject({ url, error });
-    });
-  });
+    }
+  }
+
+  throw lastError;
 }
 
 /**
  * Download multiple videos from URLs
- * @param {Array<string>} urls - Array of video URLs
+ * Each entry is either a URL or a video with alternative streams (`{ urls: [...] }`, preferred first)
+ * @param {Array<string|Object>} urls - Array of video URLs or videos
  * @param {string} videoPath - The directory to save videos to
  * @param {string} baseTitle - Base title to use for video filenames
- * @returns {Promise<Array<string>>} - Array of downloaded video titles
+ * @param {Object} [options] - Download options
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<Object>} - `{ downloaded, failed }`: downloaded videos as { url, filename }, where `url` is
+ *   the stream that was actually downloaded, and failed videos as { url, error }, both in the order of the URLs
  */
-export async function downloadVideos(urls, videoPath, baseTitle) {
+export async function downloadVideos(urls, videoPath, baseTitle, options = {}) {
   try {
     if (!urls || !Array.isArray(urls) || urls.length === 0) {
       logger.warn('No video URLs provided for download');
-      return [];
+      return { downloaded: [], failed: [] };
     }
-    
+
     logger.info('Downloading multiple videos', { count: urls.length });
-    
+
     const downloadPromises = urls.map((url, index) => {
+      const videoTitle = `${baseTitle}-${Date.now()}-${index}.mp4`;
+
+      if (url && Array.isArray(url.urls)) {
+        return downloadVideoWithFallback(url.urls, videoPath, videoTitle, options);
+      }
+
       if (!url || typeof url !== 'string') {
         logger.warn('Invalid video URL', { url });
-        return Promise.resolve({ videoTitle: null });
+        return Promise.reject(new DownloadError('Invalid video URL', { url }));
       }
-      
-      const videoTitle = `${baseTitle}-${Date.now()}-${index}.mp4`;
-      return downloadVideo(url, videoPath, videoTitle);
+
+      return downloadVideo(url, videoPath, videoTitle, options);
     });
-    
+
     const results = await Promise.allSettled(downloadPromises);
-    
-    // Filter successful downloads
-    const successfulDownloads = results
-      .filter(result => result.status === 'fulfilled')
-      .map(result => result.value.videoTitle);
-    
-    // Log failed downloads
-    const failedDownloads = results
-      .filter(result => result.status === 'rejected')
-      .map(result => result.reason.url);
-    
-    if (failedDownloads.length > 0) {
-      logger.warn('Some videos failed to download', { failedUrls: failedDownloads });
+    const { downloaded, failed } = collectResults(results, urls, 'videoTitle');
+
+    if (failed.length > 0) {
+      logger.warn('Some videos failed to download', { failedUrls: failed.map(({ url }) => url) });
     }
-    
-    logger.info('Completed downloading videos', { 
-      total: urls.length, 
-      successful: successfulDownloads.length, 
-      failed: failedDownloads.length 
+
+    logger.info('Completed downloading videos', {
+      total: urls.length,
+      successful: downloaded.length,
+      failed: failed.length
     });
-    
-    return successfulDownloads;
+
+    return { downloaded, failed };
   } catch (error) {
     logger.error('Error in batch video download', error);
     throw error;
@@ -205,5 +481,6 @@ export default {
   downloadImage,
   downloadImages,
   downloadVideo,
+  downloadVideoWithFallback,
   downloadVideos
-};
\ No newline at end of file
+};
@@ -0,0 +1,291 @@
+/**
+ * Content-addressed media store for the Weibo Saver application
+ * Keeps a single copy of every downloaded file, keyed by the SHA-256 of its content, so an image
+ * saved with several posts takes its space only once
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { isSidecarPath, getNotePath } from './sidecar.js';
+import { logger } from '../../utils/logger.js';
+import { config } from '../../config/config.js';
+
+// Names of the note directories' media folders
+const MEDIA_FOLDERS = new Set(['images', 'videos']);
+
+const HASH_PATTERN = /[0-9a-f]{64}/g;
+
+// Stored files changed more recently than this are never collected: a save in progress stores its media
+// before it writes the note that uses it, in ms
+const GC_GRACE_PERIOD = 60 * 60 * 1000;
+
+/**
+ * Hash a file's content
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Get the path a file is kept at in the store
+ * Files are spread over subdirectories named after the first two characters of their hash
+ * @param {string} hash - Hex SHA-256 of the content
+ * @param {string} extension - File extension with the leading dot
+ * @returns {string} - Path in the store
+ */
+function getStorePath(hash, extension) {
+  return path.join(config.storage.mediaStorePath, hash.slice(0, 2), `${hash}${extension}`);
+}
+
+/**
+ * Check whether a path is inside the media store
+ * @param {string} filePath - Path to check
+ * @returns {boolean} - Whether the path is a stored file
+ */
+export function isStorePath(filePath) {
+  const relative = path.relative(path.resolve(config.storage.mediaStorePath), path.resolve(filePath));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Move a downloaded file into the store, or drop it if the store already has the same content
+ * @param {string} filePath - Path of the downloaded file
+ * @returns {Promise<string>} - Path of the stored copy
+ */
+async function storeFile(filePath) {
+  const hash = await hashFile(filePath);
+  const storePath = getStorePath(hash, path.extname(filePath));
+
+  if (fs.existsSync(storePath)) {
+    await fs.promises.unlink(filePath);
+    // Reusing a stored file counts as a change, so garbage collection leaves it alone until the note is written
+    const now = new Date();
+    await fs.promises.utimes(storePath, now, now);
+    logger.debug('Media already in store', { filePath, storePath });
+  } else {
+    await fs.promises.mkdir(path.dirname(storePath), { recursive: true });
+    // Two jobs storing the same content at once both rename identical bytes over the same path
+    await fs.promises.rename(filePath, storePath);
+    logger.debug('Media added to store', { filePath, storePath });
+  }
+
+  return storePath;
+}
+
+/**
+ * Hard-link a stored file back to where it was downloaded
+ * Falls back to a copy on file systems without hard links
+ * @param {string} storePath - Path of the stored copy
+ * @param {string} filePath - Path in the note's media folder
+ * @returns {Promise<void>}
+ */
+async function linkFromStore(storePath, filePath) {
+  try {
+    await fs.promises.link(storePath, filePath);
+  } catch (error) {
+    if (!['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP'].includes(error.code)) throw error;
+    logger.warn('Hard links are not supported, copying media instead', { filePath, error: error.message });
+    await fs.promises.copyFile(storePath, filePath);
+  }
+}
+
+/**
+ * Place downloaded media according to the configured media store mode
+ * - `off`: the files stay in the note's media folder
+ * - `link`: the files move into the store and the note links to the shared copy
+ * - `hardlink`: the files move into the store and are hard-linked back into the note's media folder
+ * @param {Array<Object>} downloads - Downloaded files as { url, filename }
+ * @param {string} mediaPath - Directory the files were downloaded to
+ * @param {string} notePath - Directory of the note that links to them
+ * @returns {Promise<Array<Object>>} - Placed files as { url, filename, filePath, link }, where `filePath` is the
+ *   file the note uses and `link` its path relative to the note
+ */
+export async function placeMedia(downloads, mediaPath, notePath) {
+  const mode = config.storage.mediaStore;
+
+  return Promise.all(downloads.map(async ({ url, filename }) => {
+    const downloadPath = path.join(mediaPath, filename);
+    let filePath = downloadPath;
+
+    if (mode !== 'off') {
+      let storePath = null;
+      try {
+        storePath = await storeFile(downloadPath);
+      } catch (error) {
+        logger.error('Error adding media to store, keeping it with the note', { filePath: downloadPath, error: error.message });
+      }
+
+      if (storePath && mode === 'link') {
+        filePath = storePath;
+      } else if (storePath) {
+        try {
+          await linkFromStore(storePath, downloadPath);
+        } catch (error) {
+          logger.error('Error linking media from store, linking the stored copy instead', { filePath: downloadPath, error: error.message });
+          filePath = storePath;
+        }
+      }
+    }
+
+    return {
+      url,
+      filename,
+      filePath,
+      link: path.relative(notePath, filePath).split(path.sep).join('/')
+    };
+  }));
+}
+
+/**
+ * Walk the saved data and collect notes and media files
+ * @param {string} directory - Directory to walk
+ * @param {Object} found - Collected { notes, media, stored }
+ * @returns {Promise<Object>} - The collected files
+ */
+async function walk(directory, found = { notes: [], media: [], stored: [] }) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return found;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      await walk(entryPath, found);
+    } else if (!entry.isFile() || entry.name.endsWith('.tmp')) {
+      continue;
+    } else if (isStorePath(entryPath)) {
+      found.stored.push(entryPath);
+    } else if (entry.name.endsWith('.md') || isSidecarPath(entryPath)) {
+      // Sidecars count as notes, the media they list is needed to render the note again
+      found.notes.push(entryPath);
+    } else if (MEDIA_FOLDERS.has(path.basename(directory))) {
+      found.media.push(entryPath);
+    }
+  }
+  return found;
+}
+
+/**
+ * Work out which stored files the notes use
+ * A stored file is used by every note that mentions its hash (`link` mode) and by every note whose
+ * media folder holds a hard link to it that the note mentions (`hardlink` mode)
+ * @returns {Promise<Array<Object>>} - Stored files as { path, size, modifiedAt, references, unusedLinks }
+ */
+async function analyzeStore() {
+  const { notes, media, stored } = await walk(config.storage.basePath);
+
+  // A note and its sidecar are read as one, so media they both list counts once
+  const noteContents = new Map();
+  for (const filePath of notes) {
+    const notePath = isSidecarPath(filePath) ? getNotePath(filePath) : filePath;
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    noteContents.set(notePath, `${noteContents.get(notePath) || ''}\n${content}`);
+  }
+
+  // Notes are looked up by the directory their media folders sit in
+  const hashReferences = new Map();
+  const notesByDirectory = new Map();
+  for (const [notePath, content] of noteContents) {
+    for (const hash of new Set(content.match(HASH_PATTERN) || [])) {
+      hashReferences.set(hash, (hashReferences.get(hash) || 0) + 1);
+    }
+    const directory = path.dirname(notePath);
+    notesByDirectory.set(directory, [...(notesByDirectory.get(directory) || []), content]);
+  }
+
+  // Hard links in the notes' media folders, by inode
+  const links = new Map();
+  for (const mediaPath of media) {
+    const stat = await fs.promises.stat(mediaPath);
+    if (stat.nlink < 2) continue;
+
+    const filename = path.basename(mediaPath);
+    const folder = path.basename(path.dirname(mediaPath));
+    const mentions = [`${folder}/${filename}`, `${folder}/${encodeURI(filename)}`];
+    const noteContents = notesByDirectory.get(path.dirname(path.dirname(mediaPath))) || [];
+    const references = noteContents.filter(content => mentions.some(mention => content.includes(mention))).length;
+
+    const key = `${stat.dev}:${stat.ino}`;
+    links.set(key, [...(links.get(key) || []), { path: mediaPath, references }]);
+  }
+
+  return Promise.all(stored.map(async (storePath) => {
+    const stat = await fs.promises.stat(storePath);
+    const hash = path.basename(storePath, path.extname(storePath));
+    const fileLinks = links.get(`${stat.dev}:${stat.ino}`) || [];
+
+    return {
+      path: storePath,
+      size: stat.size,
+      modifiedAt: stat.mtimeMs,
+      references: (hashReferences.get(hash) || 0) + fileLinks.reduce((sum, link) => sum + link.references, 0),
+      unusedLinks: fileLinks.filter(link => link.references === 0).map(link => link.path)
+    };
+  }));
+}
+
+/**
+ * Report how much space the media store saves
+ * @returns {Promise<Object>} - { files, bytes, references, savedBytes, unusedFiles, unusedBytes }
+ */
+export async function getStoreReport() {
+  const files = await analyzeStore();
+  const unused = files.filter(file => file.references === 0);
+
+  return {
+    files: files.length,
+    bytes: files.reduce((sum, file) => sum + file.size, 0),
+    references: files.reduce((sum, file) => sum + file.references, 0),
+    // Every use after the first would have been another copy without the store
+    savedBytes: files.reduce((sum, file) => sum + file.size * Math.max(file.references - 1, 0), 0),
+    unusedFiles: unused.length,
+    unusedBytes: unused.reduce((sum, file) => sum + file.size, 0)
+  };
+}
+
+/**
+ * Delete stored media that no note uses, along with hard links to it that no note mentions
+ * Files stored or reused within the last hour are kept, as a save that is still running may not have written
+ * its note yet
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Only list what would be deleted
+ * @returns {Promise<Object>} - { deleted: Array<string>, bytes }
+ */
+export async function collectGarbage(options = {}) {
+  const { dryRun = false } = options;
+  const files = await analyzeStore();
+  const deleted = [];
+  let bytes = 0;
+
+  const cutoff = Date.now() - GC_GRACE_PERIOD;
+
+  for (const file of files.filter(file => file.references === 0 && file.modifiedAt < cutoff)) {
+    for (const filePath of [...file.unusedLinks, file.path]) {
+      if (!dryRun) await fs.promises.rm(filePath, { force: true });
+      deleted.push(filePath);
+    }
+    bytes += file.size;
+  }
+
+  logger.info(dryRun ? 'Media store garbage found' : 'Media store garbage collected', { files: deleted.length, bytes });
+  return { deleted, bytes };
+}
+
+export default {
+  isStorePath,
+  placeMedia,
+  getStoreReport,
+  collectGarbage
+};
@@ -0,0 +1,129 @@
+/**
+ * Obsidian output for the Weibo Saver application
+ * Builds note frontmatter with a YAML serializer and links saved posts from Obsidian daily notes
+ */
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { saveToFile } from './file-manager.js';
+import { formatDatePattern } from '../../utils/date-normalizer.js';
+import { logger } from '../../utils/logger.js';
+import { config } from '../../config/config.js';
+
+// Daily note writes are chained so posts saved at the same time never overwrite each other's links
+let dailyNoteChain = Promise.resolve();
+
+/**
+ * Turn a tag into one Obsidian accepts: no spaces or punctuation, and not only digits
+ * @param {string} tag - Tag, with or without a leading #
+ * @returns {string|null} - Obsidian tag, or null if nothing usable is left
+ */
+function toObsidianTag(tag) {
+  const cleaned = String(tag || '')
+    .replace(/^#+/, '')
+    .trim()
+    .replace(/[^\p{L}\p{N}_\-/]+/gu, '_')
+    .replace(/^_+|_+$/g, '');
+  return cleaned && !/^\d+$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Serialize a note's frontmatter
+ * Empty fields are left out; tags are cleaned up so Obsidian recognises them
+ * @param {Object} fields - Frontmatter fields, e.g. { title, aliases, author, id, source, created, saved, tags }
+ * @returns {string} - YAML without the surrounding `---` lines, so templates can add fields of their own
+ */
+export function buildFrontmatter(fields) {
+  const frontmatter = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const cleaned = key === 'tags' ? [...new Set((value || []).map(toObsidianTag).filter(Boolean))] : value;
+    if (cleaned === null || cleaned === undefined || cleaned === '') continue;
+    if (Array.isArray(cleaned) && cleaned.length === 0) continue;
+    frontmatter[key] = cleaned;
+  }
+  return yaml.dump(frontmatter, { lineWidth: -1 }).trimEnd();
+}
+
+/**
+ * Get the daily note of a date
+ * @param {Date} date - Date the note is for, in the configured timezone
+ * @returns {string} - Path of the daily note
+ */
+export function getDailyNotePath(date) {
+  const { dailyNotesDirectory, dailyNoteFormat } = config.output;
+  return path.join(dailyNotesDirectory, `${formatDatePattern(date, dailyNoteFormat)}.md`);
+}
+
+/**
+ * Add a line to the end of a section, or a new section at the end of the note
+ * @param {string} content - Daily note content
+ * @param {string} heading - Section heading, e.g. "## 收藏", or empty to append to the note
+ * @param {string} line - Line to add
+ * @returns {string} - New content
+ */
+function addToSection(content, heading, line) {
+  const lines = content ? content.replace(/\n+$/, '').split('\n') : [];
+  const start = heading ? lines.findIndex(existing => existing.trim() === heading) : -1;
+
+  if (start === -1) {
+    if (heading) lines.push(...(lines.length > 0 ? ['', heading] : [heading]));
+    lines.push(line);
+    return `${lines.join('\n')}\n`;
+  }
+
+  // The section ends at the next heading of the same or a higher level
+  const level = heading.match(/^#*/)[0].length;
+  let end = lines.findIndex((existing, index) => {
+    const match = existing.match(/^(#+)\s/);
+    return index > start && match && match[1].length <= level;
+  });
+  if (end === -1) end = lines.length;
+  while (end > start + 1 && !lines[end - 1].trim()) end--;
+
+  lines.splice(end, 0, line);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Link a saved post from the daily note of the day it was saved, creating the note if needed
+ * A post that is already linked (e.g. overwritten) is not added again
+ * @param {Object} post - Saved post
+ * @param {string} post.mdFilePath - Path of the post's note
+ * @param {string} post.title - Title shown for the link
+ * @param {string} post.dateSaved - When the post was saved, as an ISO timestamp
+ * @returns {Promise<string>} - Path of the daily note
+ */
+export function addToDailyNote({ mdFilePath, title, dateSaved }) {
+  const dailyNotePath = getDailyNotePath(new Date(dateSaved));
+  // Obsidian resolves link paths relative to the note they are in
+  const target = path.relative(path.dirname(dailyNotePath), path.resolve(mdFilePath))
+    .split(path.sep).join('/')
+    .replace(/\.md$/, '');
+  const alias = String(title || path.basename(target)).replace(/[[\]|\s]+/g, ' ').trim();
+
+  const result = dailyNoteChain.then(async () => {
+    let content = '';
+    try {
+      content = await fs.promises.readFile(dailyNotePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (content.includes(`[[${target}|`) || content.includes(`[[${target}]]`)) return dailyNotePath;
+
+    await fs.promises.mkdir(path.dirname(dailyNotePath), { recursive: true });
+    await saveToFile(dailyNotePath, addToSection(content, config.output.dailyNoteHeading, `- [[${target}|${alias}]]`));
+    logger.info('Post added to daily note', { dailyNotePath, mdFilePath });
+    return dailyNotePath;
+  });
+
+  // A failed write must not stop the next one
+  dailyNoteChain = result.catch(() => {});
+  return result;
+}
+
+export default {
+  buildFrontmatter,
+  getDailyNotePath,
+  addToDailyNote
+};
@@ -0,0 +1,208 @@
+/**
+ * Post index service for the Weibo Saver application
+ * Keeps a persistent record of saved posts, keyed by platform and canonical post id,
+ * so the same post is not archived twice
+ */
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+import { config } from '../../config/config.js';
+
+// In-memory copy of the index, loaded from disk on first use
+let index = null;
+
+// Modification time of the index file when it was last read or written, to notice writes by other processes
+let indexMtime = null;
+
+// Writes are chained so concurrent saves never interleave
+let writeChain = Promise.resolve();
+
+/**
+ * Build the index key for a post
+ * @param {string} platform - Platform name
+ * @param {string} id - Canonical post id
+ * @returns {string} - Index key
+ */
+function createKey(platform, id) {
+  return `${platform}:${id}`;
+}
+
+/**
+ * Read the index file as it is on disk
+ * @returns {Object|null} - The index object, or null if there is no readable file
+ */
+function readIndexFile() {
+  const indexPath = config.storage.indexPath;
+  if (!fs.existsSync(indexPath)) return null;
+
+  try {
+    indexMtime = fs.statSync(indexPath).mtimeMs;
+    const data = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    return data && typeof data.posts === 'object' ? data : null;
+  } catch (error) {
+    logger.error('Error reading post index', { indexPath, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Take over posts another process recorded in the file, e.g. `weibo-saver save` while the listener runs
+ * An entry from the file replaces the in-memory one when it is unknown here or was saved more recently
+ * @returns {boolean} - Whether any entry was taken over
+ */
+function mergeFromDisk() {
+  const disk = readIndexFile();
+  if (!disk) return false;
+
+  let merged = false;
+  for (const [key, entry] of Object.entries(disk.posts)) {
+    const known = index.posts[key];
+    if (known && (known.savedAt || '') >= (entry.savedAt || '')) continue;
+    index.posts[key] = entry;
+    merged = true;
+  }
+  return merged;
+}
+
+/**
+ * Load the index from disk on first use, and take over what other processes wrote to it since
+ * @returns {Object} - The index object
+ */
+function loadIndex() {
+  const indexPath = config.storage.indexPath;
+
+  if (!index) {
+    index = readIndexFile();
+    if (index) {
+      logger.debug('Post index loaded', { indexPath, count: Object.keys(index.posts).length });
+    } else {
+      index = { version: 1, posts: {} };
+    }
+    return index;
+  }
+
+  let mtime = null;
+  try {
+    mtime = fs.statSync(indexPath).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (mtime !== null && mtime !== indexMtime && mergeFromDisk()) {
+    logger.debug('Post index entries taken over from the index file', { indexPath });
+  }
+  return index;
+}
+
+/**
+ * Persist the index to disk, writing to a temporary file first
+ * Entries other processes wrote to the file in the meantime are merged in first, so they are not overwritten
+ * @returns {Promise<void>}
+ */
+function persistIndex() {
+  const indexPath = config.storage.indexPath;
+
+  writeChain = writeChain.then(async () => {
+    mergeFromDisk();
+    const snapshot = JSON.stringify(loadIndex(), null, 2);
+    await fs.promises.mkdir(path.dirname(indexPath), { recursive: true });
+    const tempPath = `${indexPath}.tmp`;
+    await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+    await fs.promises.rename(tempPath, indexPath);
+    indexMtime = fs.statSync(indexPath).mtimeMs;
+  }).catch((error) => {
+    logger.error('Error writing post index', { indexPath, error: error.message });
+  });
+
+  return writeChain;
+}
+
+/**
+ * Convert a path to one relative to the storage base path
+ * @param {string} filePath - Path to convert
+ * @returns {string} - Relative path
+ */
+export function toIndexPath(filePath) {
+  return path.relative(config.storage.basePath, filePath);
+}
+
+/**
+ * Convert a path stored in the index back to a usable path
+ * @param {string} indexPath - Path relative to the storage base path
+ * @returns {string} - Path including the storage base path
+ */
+export function fromIndexPath(indexPath) {
+  return path.join(config.storage.basePath, indexPath);
+}
+
+/**
+ * Find a saved post
+ * @param {string} platform - Platform name
+ * @param {string} id - Canonical post id
+ * @returns {Object|null} - The index entry or null if the post was never saved
+ */
+export function findPost(platform, id) {
+  if (!id) return null;
+  return loadIndex().posts[createKey(platform, id)] || null;
+}
+
+/**
+ * Record a saved post in the index
+ * If the post was saved before, the previous location is kept in its `versions` list
+ * @param {string} platform - Platform name
+ * @param {string} id - Canonical post id
+ * @param {Object} entry - Saved post details
+ * @param {string} entry.url - Post URL
+ * @param {string} entry.title - Post title
+ * @param {string} entry.mdFilePath - Path of the saved Markdown file
+ * @param {Array<string>} [entry.images] - Paths of the downloaded images
+ * @param {Array<string>} [entry.videos] - Paths of the downloaded videos
+ * @param {Array<Object>} [entry.failedMedia] - Media that could not be downloaded, as { kind, url, error }
+ * @returns {Promise<Object>} - The stored index entry
+ */
+export async function recordPost(platform, id, entry) {
+  const posts = loadIndex().posts;
+  const key = createKey(platform, id);
+  const previous = posts[key];
+
+  const versions = previous ? [...(previous.versions || [])] : [];
+  if (previous && previous.mdFilePath !== toIndexPath(entry.mdFilePath)) {
+    versions.push({ mdFilePath: previous.mdFilePath, savedAt: previous.savedAt });
+  }
+
+  posts[key] = {
+    platform,
+    id,
+    url: entry.url,
+    title: entry.title,
+    mdFilePath: toIndexPath(entry.mdFilePath),
+    images: (entry.images || []).map(toIndexPath),
+    videos: (entry.videos || []).map(toIndexPath),
+    failedMedia: entry.failedMedia || [],
+    firstSavedAt: previous ? previous.firstSavedAt : new Date().toISOString(),
+    savedAt: new Date().toISOString(),
+    versions
+  };
+
+  await persistIndex();
+  logger.info('Recorded post in index', { key, mdFilePath: posts[key].mdFilePath });
+  return posts[key];
+}
+
+/**
+ * List saved posts, most recently saved first
+ * @param {number} [limit] - Maximum number of posts to return
+ * @returns {Array<Object>} - Index entries
+ */
+export function listPosts(limit) {
+  const posts = Object.values(loadIndex().posts)
+    .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+  return limit ? posts.slice(0, limit) : posts;
+}
+
+export default {
+  findPost,
+  recordPost,
+  listPosts,
+  toIndexPath,
+  fromIndexPath
+};
@@ -0,0 +1,140 @@
+/**
+ * Post sidecar service for the Weibo Saver application
+ * Keeps the fetched payload, the parsed post and its media next to every note, so notes can be
+ * rendered again with newer templates without fetching the post again
+ */
+import fs from 'fs';
+import path from 'path';
+import { saveToFile } from './file-manager.js';
+import { logger } from '../../utils/logger.js';
+import { config } from '../../config/config.js';
+
+// Version of the sidecar format, raised when its layout changes
+const SIDECAR_VERSION = 1;
+
+const SIDECAR_EXTENSION = '.json';
+
+/**
+ * Get the sidecar path of a note
+ * @param {string} mdFilePath - Path of the Markdown note
+ * @returns {string} - Path of its sidecar, the note's path with .json instead of .md
+ */
+export function getSidecarPath(mdFilePath) {
+  return path.join(path.dirname(mdFilePath), `${path.basename(mdFilePath, '.md')}${SIDECAR_EXTENSION}`);
+}
+
+/**
+ * Get the note path of a sidecar
+ * @param {string} sidecarPath - Path of the sidecar
+ * @returns {string} - Path of the Markdown note it belongs to
+ */
+export function getNotePath(sidecarPath) {
+  return path.join(path.dirname(sidecarPath), `${path.basename(sidecarPath, SIDECAR_EXTENSION)}.md`);
+}
+
+/**
+ * Check whether a file is a sidecar by its name
+ * The index and queue files at the top of the archive start with a dot and are not sidecars
+ * @param {string} filePath - File path
+ * @returns {boolean} - Whether the file is named like a sidecar
+ */
+export function isSidecarPath(filePath) {
+  const name = path.basename(filePath);
+  return name.endsWith(SIDECAR_EXTENSION) && !name.startsWith('.');
+}
+
+/**
+ * Write the sidecar of a note
+ * @param {string} mdFilePath - Path of the Markdown note
+ * @param {Object} sidecar - Sidecar content
+ * @param {string} sidecar.platform - Platform name
+ * @param {string} sidecar.url - Post URL
+ * @param {string|null} sidecar.postId - Canonical post id, null for fallback notes
+ * @param {boolean} sidecar.fetched - Whether the post was fetched or the note is a fallback
+ * @param {Object} sidecar.email - `{ fromAddress, subject }` of the email the post came in, for choosing the template
+ * @param {string} sidecar.dateSaved - When the post was saved
+ * @param {string} sidecar.referenceDate - When the post was shared, relative dates were resolved against it
+ * @param {*} sidecar.raw - Payload as fetched (`$render_data`, the RedNote state note), null for fallback notes
+ * @param {Object} sidecar.post - Parsed post
+ * @param {Object} sidecar.media - `{ images, videos, failed }`, downloaded media as { url, filename, filePath, link }
+ *   and media that failed as { kind, label, url, error }
+ * @returns {Promise<string>} - Path of the written sidecar
+ */
+export async function writeSidecar(mdFilePath, sidecar) {
+  const sidecarPath = getSidecarPath(mdFilePath);
+  await saveToFile(sidecarPath, JSON.stringify({ version: SIDECAR_VERSION, ...sidecar }, null, 2));
+  return sidecarPath;
+}
+
+/**
+ * Read a sidecar
+ * @param {string} sidecarPath - Path of the sidecar
+ * @returns {Promise<Object|null>} - Sidecar content, or null if the file is not a sidecar this version can read
+ */
+export async function readSidecar(sidecarPath) {
+  try {
+    const sidecar = JSON.parse(await fs.promises.readFile(sidecarPath, 'utf8'));
+    if (!sidecar || sidecar.version !== SIDECAR_VERSION || !sidecar.platform || !sidecar.post) {
+      logger.warn('Not a readable post sidecar', { sidecarPath });
+      return null;
+    }
+    return sidecar;
+  } catch (error) {
+    logger.warn('Error reading post sidecar', { sidecarPath, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Check whether a sidecar matches a filter
+ * @param {Object} sidecar - Sidecar content
+ * @param {Object} filter - Filter
+ * @param {string} [filter.platform] - Only posts of this platform
+ * @param {Array<string>} [filter.ids] - Only posts with these ids
+ * @param {string} [filter.since] - Only posts saved on or after this date
+ * @param {string} [filter.until] - Only posts saved on or before this date; a day without a time includes the whole day
+ * @returns {boolean} - Whether the sidecar matches
+ */
+export function matchesFilter(sidecar, filter) {
+  if (filter.platform && sidecar.platform !== filter.platform) return false;
+  if (filter.ids && filter.ids.length > 0 && !filter.ids.includes(String(sidecar.postId))) return false;
+  if (filter.since && !(new Date(sidecar.dateSaved) >= new Date(filter.since))) return false;
+  if (filter.until) {
+    // dateSaved is written in the configured timezone, so its first ten characters are the local day
+    const onOrBefore = /^\d{4}-\d{2}-\d{2}$/.test(filter.until)
+      ? String(sidecar.dateSaved).slice(0, 10) <= filter.until
+      : new Date(sidecar.dateSaved) <= new Date(filter.until);
+    if (!onOrBefore) return false;
+  }
+  return true;
+}
+
+/**
+ * Find the sidecars in the archive
+ * @param {string} [directory] - Directory to search, defaults to the storage base path
+ * @returns {Promise<Array<string>>} - Sidecar paths, sorted
+ */
+export async function findSidecars(directory = config.storage.basePath) {
+  if (!fs.existsSync(directory)) return [];
+
+  const found = [];
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true, recursive: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(entry.parentPath || entry.path, entry.name);
+    if (entry.isFile() && isSidecarPath(entryPath) && fs.existsSync(getNotePath(entryPath))) {
+      found.push(entryPath);
+    }
+  }
+  return found.sort();
+}
+
+export default {
+  getSidecarPath,
+  getNotePath,
+  isSidecarPath,
+  writeSidecar,
+  readSidecar,
+  matchesFilter,
+  findSidecars
+};
@@ -1,47 +1,220 @@
 /**
  * Template rendering service for the Weibo Saver application
  * Handles generating Markdown content from Weibo data
+ * Templates are looked up in the user template directory before the built-in ones, can include
+ * partials from a `partials` folder and are cached until the file changes
  */
 import fs from 'fs';
 import path from 'path';
 import mustache from 'mustache';
+import { parseDateText, formatDatePattern } from '../../utils/date-normalizer.js';
+import { truncateText } from '../../utils/text-processor.js';
 import { logger } from '../../utils/logger.js';
 import { config } from '../../config/config.js';
 
+const TEMPLATE_EXTENSION = '.mustache';
+
+// Name of the templates used with OUTPUT_MODE=obsidian, e.g. obsidian.weibo.mustache
+const OBSIDIAN_TEMPLATE_NAME = 'obsidian';
+
+// Loaded templates by path, with the modification time they were read at
+const templateCache = new Map();
+
 /**
  * Load a template file
+ * The file is only read again when it changed since it was last loaded
  * @param {string} templatePath - Path to the template file
  * @returns {Promise<string>} - Template content
  */
-export function loadTemplate(templatePath) {
-  return new Promise((resolve, reject) => {
-    fs.readFile(templatePath, 'utf8', (error, data) => {
-      if (error) {
-        logger.error('Error loading template', { templatePath, error });
-        return reject(error);
-      }
-      
-      logger.info('Template loaded successfully', { templatePath });
-      resolve(data);
-    });
-  });
+export async function loadTemplate(templatePath) {
+  try {
+    const { mtimeMs } = await fs.promises.stat(templatePath);
+    const cached = templateCache.get(templatePath);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.content;
+
+    const content = await fs.promises.readFile(templatePath, 'utf8');
+    templateCache.set(templatePath, { mtimeMs, content });
+    logger.info('Template loaded successfully', { templatePath });
+    return content;
+  } catch (error) {
+    logger.error('Error loading template', { templatePath, error });
+    throw error;
+  }
+}
+
+/**
+ * Get the directories templates are looked up in, the user template directory first
+ * @param {string} [defaultTemplatePath] - A platform's built-in template; its directory is searched too
+ * @returns {Array<string>} - Template directories
+ */
+function getTemplateDirectories(defaultTemplatePath) {
+  const directories = [
+    config.templates.directory,
+    defaultTemplatePath ? path.dirname(defaultTemplatePath) : null,
+    config.templates.builtInDirectory
+  ].filter(Boolean).map(directory => path.resolve(directory));
+  return [...new Set(directories)];
 }
 
+/**
+ * Load the partials of the template directories
+ * A partial in the user template directory replaces a built-in partial of the same name
+ * @param {Array<string>} directories - Template directories, the first one wins
+ * @returns {Promise<Object>} - Partial name → template
+ */
+async function loadPartials(directories) {
+  const partials = {};
+
+  for (const directory of [...directories].reverse()) {
+    const partialsPath = path.join(directory, 'partials');
+    if (!fs.existsSync(partialsPath)) continue;
+
+    for (const filename of await fs.promises.readdir(partialsPath)) {
+      if (!filename.endsWith(TEMPLATE_EXTENSION)) continue;
+      partials[path.basename(filename, TEMPLATE_EXTENSION)] = await loadTemplate(path.join(partialsPath, filename));
+    }
+  }
+  return partials;
+}
+
+/**
+ * Get the #tags of an email subject, e.g. "微博分享 #reading" has the tag "reading"
+ * Weibo topics (#topic#) are not tags
+ * @param {string} subject - Email subject
+ * @returns {Array<string>} - Tags without the #
+ */
+export function extractEmailTags(subject) {
+  return [...String(subject || '').matchAll(/(?:^|\s)#([^\s#]+)(?=\s|$)/g)].map(match => match[1]);
+}
+
+/**
+ * Find the file of a named template
+ * `<name>.<platform>.mustache` is preferred over `<name>.mustache`, so one name can have a variant per platform
+ * @param {string} name - Template name
+ * @param {string} platformName - Platform name
+ * @param {Array<string>} directories - Template directories, the first one wins
+ * @returns {string|null} - Template path, or null if no directory has the template
+ */
+function findTemplate(name, platformName, directories) {
+  for (const directory of directories) {
+    for (const filename of [`${name}.${platformName}${TEMPLATE_EXTENSION}`, `${name}${TEMPLATE_EXTENSION}`]) {
+      const templatePath = path.join(directory, filename);
+      if (fs.existsSync(templatePath)) return templatePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a named template in the user template directory or the built-in ones
+ * @param {string} name - Template name
+ * @param {Object} [platform] - Platform definition, to prefer the platform's variant of the template
+ * @returns {string|null} - Template path, or null if no directory has the template
+ */
+export function findNamedTemplate(name, platform) {
+  const directories = getTemplateDirectories(platform?.templatePath);
+  if (platform) return findTemplate(name, platform.name, directories);
+
+  const templatePath = directories
+    .map(directory => path.join(directory, `${name}${TEMPLATE_EXTENSION}`))
+    .find(candidate => fs.existsSync(candidate));
+  return templatePath || null;
+}
+
+/**
+ * Choose the template for a post
+ * A #tag in the email subject wins over the sender, which wins over the platform (see the TEMPLATE_BY_* settings);
+ * otherwise the output mode's template is used: the platform's own template, or the `obsidian` one in Obsidian mode,
+ * from the user template directory if it has a file of the same name
+ * @param {Object} platform - Platform definition
+ * @param {Object} [email] - Email the post came in, with `fromAddress` and `subject`
+ * @returns {string} - Template path
+ */
+export function resolveTemplate(platform, email = {}) {
+  const { byTag, bySender, byPlatform } = config.templates;
+  const directories = getTemplateDirectories(platform.templatePath);
+  const platformName = path.basename(platform.templatePath, TEMPLATE_EXTENSION);
+  const defaultName = config.output.mode === 'obsidian' ? OBSIDIAN_TEMPLATE_NAME : platformName;
+
+  const tagName = extractEmailTags(email.subject).map(tag => byTag[tag]).find(Boolean);
+  const name = tagName
+    || bySender[String(email.fromAddress || '').toLowerCase()]
+    || byPlatform[platform.name]
+    || defaultName;
+
+  const templatePath = findTemplate(name, platform.name, directories);
+  if (templatePath) return templatePath;
+
+  logger.warn('Template not found, using the default template', { name, platform: platform.name, directories });
+  return findTemplate(defaultName, platform.name, directories)
+    || findTemplate(platformName, platform.name, directories)
+    || platform.templatePath;
+}
+
+/**
+ * Split a helper's block into an argument and the text, at the first "|"
+ * @param {string} text - Rendered block, e.g. "40|some text"
+ * @returns {Array<string|null>} - [argument or null, text]
+ */
+function splitHelperArgument(text) {
+  const separator = text.indexOf('|');
+  return separator === -1 ? [null, text] : [text.slice(0, separator).trim(), text.slice(separator + 1)];
+}
+
+/**
+ * Write an Obsidian wikilink to a file
+ * Paths with characters a wikilink cannot hold fall back to a Markdown link
+ * @param {string} text - Rendered helper block, "[alias|]path"
+ * @param {boolean} embed - Whether to embed the file instead of linking to it
+ * @returns {string} - Wikilink
+ */
+function toWikilink(text, embed) {
+  const [alias, value] = splitHelperArgument(text);
+  const target = value.trim();
+  const prefix = embed ? '!' : '';
+
+  if (/[[\]|#^]/.test(target)) {
+    return `${prefix}[${alias || ''}](<${target}>)`;
+  }
+  return `${prefix}[[${target}${alias ? `|${alias}` : ''}]]`;
+}
+
+// Lambdas available in every template, used as sections: {{#truncate}}40|{{{text}}}{{/truncate}}
+const TEMPLATE_HELPERS = {
+  // {{#format_date}}YYYY年MM月DD日|{{created_at}}{{/format_date}}, the pattern defaults to YYYY-MM-DD
+  format_date: () => (text, render) => {
+    const [pattern, value] = splitHelperArgument(render(text));
+    const date = parseDateText(value.trim());
+    return date ? formatDatePattern(date, pattern || 'YYYY-MM-DD') : value.trim();
+  },
+  // {{#yaml}}{{{title}}}{{/yaml}}, a double-quoted YAML string that is safe in frontmatter
+  yaml: () => (text, render) => JSON.stringify(render(text).trim()),
+  // {{#truncate}}40|{{{text}}}{{/truncate}}, cut to at most 40 characters (100 by default)
+  truncate: () => (text, render) => {
+    const [length, value] = splitHelperArgument(render(text));
+    const maxLength = parseInt(length, 10) || 100;
+    const trimmed = value.trim();
+    return trimmed.length > maxLength ? `${truncateText(trimmed, maxLength)}…` : trimmed;
+  },
+  // {{#embed}}{{{path}}}{{/embed}} → ![[images/a.jpg]], {{#embed}}400|{{{path}}}{{/embed}} sets the width
+  embed: () => (text, render) => toWikilink(render(text), true),
+  // {{#wikilink}}▶ 实况照片|{{{motion}}}{{/wikilink}} → [[videos/a.mov|▶ 实况照片]]
+  wikilink: () => (text, render) => toWikilink(render(text), false)
+};
+
 /**
  * Render a template with Weibo data
  * @param {string} template - Template content
- * @param {Object} weiboData - Structured Weibo data
- * @param {Array<string>} imageFilenames - Array of downloaded image filenames
- * @param {Array<string>} videoFilenames - Array of downloaded video filenames
- * @param {string} weiboUrl - Original Weibo URL
+ * @param {Object} templateData - Data the template is rendered with
+ * @param {Object} [partials] - Partial name → template
  * @returns {string} - Rendered content
  */
-export function renderTemplate(template, templateData) {
+export function renderTemplate(template, templateData, partials = {}) {
   try {
     logger.info('Rendering template with data');
-    // Render the template
-    const rendered = mustache.render(template, templateData);
-    
+    // Render the template; the data can shadow a helper of the same name
+    const rendered = mustache.render(template, { ...TEMPLATE_HELPERS, ...templateData }, partials);
+
     logger.info('Template rendered successfully');
     return rendered;
   } catch (error) {
@@ -51,20 +224,18 @@ export function renderTemplate(template, templateData) {
 }
 
 /**
- * Generate Markdown content for a Weibo post
- * @param {Object} weiboData - Structured Weibo data
- * @param {Array<string>} imageFilenames - Array of downloaded image filenames
- * @param {Array<string>} videoFilenames - Array of downloaded video filenames
- * @param {string} weiboUrl - Original Weibo URL
+ * Generate Markdown content for a post
+ * @param {string} templatePath - Path of the template, e.g. from resolveTemplate
+ * @param {Object} data - Data the template is rendered with
  * @returns {Promise<string>} - Generated Markdown content
  */
-export async function generateMarkdown(template,data) {
+export async function generateMarkdown(templatePath, data) {
   try {
-   
-    const loadedTemplate = await loadTemplate(template);
-    
+    const loadedTemplate = await loadTemplate(templatePath);
+    const partials = await loadPartials(getTemplateDirectories(templatePath));
+
     // Render template with data
-    return renderTemplate(loadedTemplate, data);
+    return renderTemplate(loadedTemplate, data, partials);
   } catch (error) {
     logger.error('Error generating Markdown', error);
     throw error;
@@ -73,6 +244,9 @@ export async function generateMarkdown(template,data) {
 
 export default {
   loadTemplate,
+  extractEmailTags,
+  findNamedTemplate,
+  resolveTemplate,
   renderTemplate,
   generateMarkdown
-};
\ No newline at end of file
+};
@@ -3,39 +3,348 @@
  * Retrieves content from Weibo URLs
  */
 import got from 'got';
-import { JSDOM } from 'jsdom';
 import { logger } from '../../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
+import { config } from '../../config/config.js';
+import { findUnresolvedShortLinks } from './weibo-markdown.js';
+import { formatDateTime } from '../../utils/date-normalizer.js';
+import { AppError, ErrorCodes, createError } from '../../utils/error-handler.js';
+
+const MOBILE_API_BASE = 'https://m.weibo.cn';
+
+// Longest a single request to Weibo may take; got waits forever by default, which would hold up a queue worker
+const REQUEST_TIMEOUT = { request: 30 * 1000 };
+
+// t.cn only has to answer with a redirect
+const SHORT_LINK_TIMEOUT = { request: 10 * 1000 };
+
+/**
+ * Headers the m.weibo.cn JSON endpoints expect from the mobile site
+ * @param {string} statusId - Status the request is made for, used as referer
+ * @returns {Object} - Request headers
+ */
+function createMobileApiHeaders(statusId) {
+  return {
+    'Referer': `${config.weibo.mobileUrlPrefix}${statusId}`,
+    'X-Requested-With': 'XMLHttpRequest',
+    'MWeibo-Pwa': '1',
+    'Accept': 'application/json, text/plain, */*'
+  };
+}
+
+// Texts m.weibo.cn shows instead of a post that was deleted or hidden by its author
+const UNAVAILABLE_MARKERS = ['微博不存在', '已被作者删除', '暂无查看权限', '此微博已被删除'];
+
+/**
+ * Check whether a response is Weibo's login page rather than the requested content
+ * @param {Object} response - got response
+ * @returns {boolean} - Whether the request was redirected to a login wall
+ */
+function isLoginWall(response) {
+  const finalUrl = response.url || '';
+  return /passport\.weibo\.(cn|com)|\/login/i.test(finalUrl)
+    || (response.statusCode >= 300 && /passport|login/i.test(response.headers.location || ''));
+}
+
+/**
+ * Get the status id or bid from a Weibo URL
+ * @param {string} weiboUrl - Weibo URL
+ * @returns {string|null} - Status id or bid
+ */
+function getStatusIdFromUrl(weiboUrl) {
+  const matches = weiboUrl.match(/\/(?:status|detail|\d+)\/([0-9a-zA-Z]+)/);
+  return matches ? matches[1] : null;
+}
+
+/**
+ * Read the `$render_data` object from the inline script of a m.weibo.cn status page
+ * The JSON is cut out of the script text and parsed, the page's scripts are never run
+ * @param {string} html - Page HTML
+ * @returns {Object} - The render data
+ */
+export function extractRenderData(html) {
+  // The page declares: var $render_data = [{...}][0] || {};
+  // The match is greedy so post texts containing "][0] || {}" do not cut the JSON short
+  const matches = html.match(/\$render_data\s*=\s*(\[[\s\S]*\])\[0\]\s*\|\|\s*\{\}/);
+  if (!matches) {
+    if (UNAVAILABLE_MARKERS.some(marker => html.includes(marker))) {
+      throw createError(ErrorCodes.WEIBO_FETCH_ERROR, 'Weibo post has been deleted or is not visible');
+    }
+    throw createError(ErrorCodes.WEIBO_PARSE_ERROR, 'No $render_data found in Weibo page');
+  }
+
+  let renderData;
+  try {
+    [renderData] = JSON.parse(matches[1]);
+  } catch (error) {
+    throw createError(ErrorCodes.WEIBO_PARSE_ERROR, 'Could not parse $render_data in Weibo page', error);
+  }
+
+  if (!renderData || !renderData.status) {
+    throw createError(ErrorCodes.WEIBO_PARSE_ERROR, 'Weibo page data has no status');
+  }
+  return renderData;
+}
+
+/**
+ * Fetch a status page and extract its render data
+ * @param {string} weiboUrl - The Weibo URL to fetch
+ * @returns {Promise<Object>} - The page's render data
+ */
+async function fetchRenderData(weiboUrl) {
+  const response = await got.get(weiboUrl, { timeout: REQUEST_TIMEOUT });
+  if (isLoginWall(response)) {
+    throw createError(ErrorCodes.WEIBO_FETCH_ERROR, 'Weibo asked for a login instead of showing the post');
+  }
+  return extractRenderData(response.body);
+}
+
+/**
+ * Fetch a status from the statuses/show JSON endpoint
+ * @param {string} weiboUrl - The Weibo URL to fetch
+ * @returns {Promise<Object>} - Render data shaped object (`{ status }`)
+ */
+async function fetchStatusJson(weiboUrl) {
+  const statusId = getStatusIdFromUrl(weiboUrl);
+  if (!statusId) {
+    throw createError(ErrorCodes.WEIBO_FETCH_ERROR, `No status id in Weibo URL: ${weiboUrl}`);
+  }
+
+  const response = await got.get(`${MOBILE_API_BASE}/statuses/show`, {
+    searchParams: { id: statusId },
+    headers: createMobileApiHeaders(statusId),
+    followRedirect: false,
+    throwHttpErrors: false,
+    timeout: REQUEST_TIMEOUT
+  });
+  if (isLoginWall(response)) {
+    throw createError(ErrorCodes.WEIBO_FETCH_ERROR, 'Weibo asked for a login instead of showing the post');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(response.body);
+  } catch (error) {
+    throw createError(ErrorCodes.WEIBO_PARSE_ERROR, `Weibo status endpoint returned no JSON (HTTP ${response.statusCode})`, error);
+  }
+
+  if (data.ok !== 1 || !data.data) {
+    // Deleted posts come back as { ok: 0, msg: "..." }, logged-out requests as { ok: -100, url: <login page> }
+    const message = data.ok === -100 ? 'Weibo asked for a login instead of showing the post' : data.msg;
+    throw createError(ErrorCodes.WEIBO_FETCH_ERROR, message || `Weibo status endpoint failed (HTTP ${response.statusCode})`);
+  }
+  return { status: data.data };
+}
+
+const FETCH_METHODS = [
+  { name: 'render-data', fetch: fetchRenderData },
+  { name: 'status-api', fetch: fetchStatusJson }
+];
 
 /**
  * Fetch Weibo content from a URL
+ * Tries the page's embedded render data first and the JSON endpoint second
  * @param {string} weiboUrl - The Weibo URL to fetch
  * @returns {Object} - The fetched Weibo data
  */
 export async function fetchWeiboContent(weiboUrl) {
+  logger.info('Fetching Weibo content', { url: weiboUrl });
+  const errors = [];
+
+  for (const method of FETCH_METHODS) {
+    try {
+      const allData = await method.fetch(weiboUrl);
+      logger.info('Successfully fetched Weibo content', { method: method.name });
+      return allData;
+    } catch (error) {
+      logger.warn('Weibo fetch method failed', { method: method.name, url: weiboUrl, error: error.message });
+      errors.push(error);
+    }
+  }
+
+  // The page's own error is the most telling: it recognizes deleted posts and login walls
+  const [error] = errors;
+  logger.error('Error fetching Weibo content', { error: error.message, url: weiboUrl });
+  throw error instanceof AppError
+    ? error
+    : createError(ErrorCodes.WEIBO_FETCH_ERROR, `Could not fetch Weibo post: ${error.message}`, error);
+}
+
+/**
+ * Fetch the replies to a comment
+ * @param {Object} comment - Raw comment from the hot comments endpoint
+ * @param {string} statusId - Id of the status the comment belongs to
+ * @param {number} depth - Levels of replies still to fetch
+ * @returns {Promise<Array<Object>>} - Raw replies, each with its own `comments` filled in up to the depth
+ */
+async function fetchCommentReplies(comment, statusId, depth) {
+  if (depth <= 0 || config.weibo.commentReplyCount <= 0) return [];
+
+  let replies = Array.isArray(comment.comments) ? comment.comments : [];
+
+  // The hot comments endpoint only inlines the first few replies
+  if (replies.length < Math.min(comment.total_number || 0, config.weibo.commentReplyCount)) {
+    try {
+      const response = await got.get(`${MOBILE_API_BASE}/comments/hotFlowChild`, {
+        searchParams: { cid: comment.id, max_id: 0, max_id_type: 0 },
+        headers: createMobileApiHeaders(statusId),
+        timeout: REQUEST_TIMEOUT
+      }).json();
+      if (response.ok === 1 && Array.isArray(response.data)) {
+        replies = response.data;
+      }
+    } catch (error) {
+      logger.warn('Error fetching Weibo comment replies, using inline replies', { commentId: comment.id, error: error.message });
+    }
+  }
+
+  replies = replies.slice(0, config.weibo.commentReplyCount);
+  for (const reply of replies) {
+    reply.comments = await fetchCommentReplies(reply, statusId, depth - 1);
+  }
+  return replies;
+}
+
+/**
+ * Fetch the top (hot) comments of a Weibo status, with their replies
+ * Failures are logged and result in an empty list, comments are never required to save a post
+ * @param {string} statusId - Status id
+ * @returns {Promise<Array<Object>>} - Raw comments, replies are in each comment's `comments`
+ */
+export async function fetchWeiboComments(statusId) {
+  if (!statusId || config.weibo.commentCount <= 0) return [];
+
   try {
-    logger.info('Fetching Weibo content', { url: weiboUrl });
-    
-    const response = await got.get(weiboUrl);
-    const pageBody = new JSDOM(response.body, {
-      runScripts: 'dangerously',
-      resources: 'usable'
-    });
-    
-    // Extract data from the page
-    const allData = pageBody.window.$render_data;
-    if (!allData) {
-      throw new Error('Could not extract Weibo data from page');
+    logger.info('Fetching Weibo comments', { statusId });
+
+    const response = await got.get(`${MOBILE_API_BASE}/comments/hotflow`, {
+      searchParams: { id: statusId, mid: statusId, max_id_type: 0 },
+      headers: createMobileApiHeaders(statusId),
+      timeout: REQUEST_TIMEOUT
+    }).json();
+
+    if (response.ok !== 1 || !response.data || !Array.isArray(response.data.data)) {
+      logger.info('No Weibo comments available', { statusId });
+      return [];
+    }
+
+    const comments = response.data.data.slice(0, config.weibo.commentCount);
+    for (const comment of comments) {
+      comment.comments = await fetchCommentReplies(comment, statusId, config.weibo.commentReplyDepth);
     }
-    
-    logger.info('Successfully fetched Weibo content');
-    return allData;
+
+    logger.info('Successfully fetched Weibo comments', { statusId, count: comments.length });
+    return comments;
   } catch (error) {
-    logger.error('Error fetching Weibo content', { error, url: weiboUrl });
-    throw error;
+    logger.warn('Error fetching Weibo comments, saving post without comments', { statusId, error: error.message });
+    return [];
   }
 }
 
+/**
+ * Check whether a status only contains the truncated preview of its text
+ * @param {Object} status - Raw status
+ * @returns {boolean} - Whether the full text has to be fetched separately
+ */
+export function isTruncatedStatus(status) {
+  if (status.longText && status.longText.longTextContent) return false;
+  // Previews end with a "全文" link to the full text
+  return Boolean(status.isLongText) || /<a[^>]*>\s*全文\s*<\/a>/.test(status.text || '');
+}
+
+/**
+ * Fetch the full text of a long Weibo status
+ * @param {string} statusId - Status id
+ * @returns {Promise<string|null>} - The full text as HTML, or null if it could not be fetched
+ */
+export async function fetchWeiboLongText(statusId) {
+  try {
+    logger.info('Fetching Weibo long text', { statusId });
+
+    const response = await got.get(`${MOBILE_API_BASE}/statuses/extend`, {
+      searchParams: { id: statusId },
+      headers: createMobileApiHeaders(statusId),
+      timeout: REQUEST_TIMEOUT
+    }).json();
+
+    const longText = response.ok === 1 && response.data ? response.data.longTextContent : null;
+    if (!longText) {
+      logger.warn('Weibo long text not available', { statusId });
+      return null;
+    }
+    return longText;
+  } catch (error) {
+    logger.warn('Error fetching Weibo long text', { statusId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Replace a truncated status text with the full text, in place
+ * Sets `longText.longTextContent` on success; statuses that stay truncated are detected by the parser
+ * @param {Object} status - Raw status
+ * @returns {Promise<void>}
+ */
+async function expandLongText(status) {
+  if (!status || !isTruncatedStatus(status)) return;
+
+  const longText = await fetchWeiboLongText(status.id || status.mid);
+  if (longText) {
+    status.longText = { ...(status.longText || {}), longTextContent: longText };
+  }
+}
+
+/**
+ * Resolve t.cn short links to their targets
+ * Links that cannot be resolved are left out and stay as short links in the note
+ * @param {Array<string>} htmlTexts - Weibo HTML texts to look for short links in
+ * @returns {Promise<Object>} - Short URL → target URL
+ */
+export async function resolveWeiboShortLinks(htmlTexts) {
+  const shortLinks = {};
+  const urls = [...new Set(htmlTexts.flatMap(findUnresolvedShortLinks))];
+
+  for (const url of urls) {
+    try {
+      const response = await got(url, {
+        method: 'HEAD',
+        followRedirect: false,
+        throwHttpErrors: false,
+        timeout: SHORT_LINK_TIMEOUT
+      });
+      if (response.headers.location) {
+        shortLinks[url] = response.headers.location;
+      }
+    } catch (error) {
+      logger.warn('Error resolving Weibo short link', { url, error: error.message });
+    }
+  }
+
+  return shortLinks;
+}
+
+/**
+ * Fetch a Weibo post with everything saved alongside it
+ * @param {string} weiboUrl - The Weibo URL to fetch
+ * @returns {Promise<Object>} - The page's render data with full texts, `shortLinks` and `comments` added
+ */
+export async function fetchWeiboPost(weiboUrl) {
+  const allData = await fetchWeiboContent(weiboUrl);
+  const status = allData.status;
+
+  await expandLongText(status);
+  await expandLongText(status && status.retweeted_status);
+
+  const texts = [status, status && status.retweeted_status]
+    .filter(Boolean)
+    .map(item => item.longText?.longTextContent || item.text || '');
+  allData.shortLinks = await resolveWeiboShortLinks(texts);
+
+  const statusId = status && (status.id || status.mid);
+  allData.comments = await fetchWeiboComments(statusId);
+  return allData;
+}
+
 /**
  * Handle errors during Weibo fetching by creating a fallback data object
  * @param {Error} error - The error that occurred
@@ -46,17 +355,26 @@ export function createFallbackWeiboData(error, mailBody) {
   logger.warn('Creating fallback Weibo data due to error', error);
   
   return {
-    originTextMD: mailBody,
-    originUser: 'MailBody',
     outerTextMD: uuidv4() + error.message,
     outerUser: 'Error',
     largeImgs: '',
-    createdAt: new Date().toISOString().replace(/T/, ' ').replace(/\.+/, ''),
-    videoPageUrls: []
+    createdAt: formatDateTime(new Date()),
+    videoPageUrls: [],
+    comments: [],
+    tags: [],
+    repostChain: [],
+    // Keep the shared text in the note as if it were the reposted post
+    retweet: { user: 'MailBody', textMD: mailBody }
   };
 }
 
 export default {
   fetchWeiboContent,
+  extractRenderData,
+  fetchWeiboComments,
+  fetchWeiboPost,
+  fetchWeiboLongText,
+  resolveWeiboShortLinks,
+  isTruncatedStatus,
   createFallbackWeiboData
 };
\ No newline at end of file
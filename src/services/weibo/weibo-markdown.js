@@ -0,0 +1,149 @@
+/**
+ * Weibo HTML to Markdown conversion
+ * Turndown rules that keep Weibo's mentions, topics, links, emoji and line breaks
+ */
+import TurndownService from 'turndown';
+import { toTagName } from '../../utils/text-processor.js';
+
+const WEIBO_PROFILE_URL = 'https://weibo.com/n/';
+const WEIBO_TOPIC_URL = 'https://s.weibo.com/weibo?q=';
+const MOBILE_BASE_URL = 'https://m.weibo.cn';
+
+// Unicode equivalents of common Weibo emoji; anything else keeps its alt text, e.g. [允悲]
+const EMOJI = {
+  '[微笑]': '🙂', '[嘻嘻]': '😁', '[哈哈]': '😄', '[笑哈哈]': '😄', '[太开心]': '😆',
+  '[笑cry]': '😂', '[偷笑]': '🤭', '[可爱]': '😊', '[爱你]': '😘', '[亲亲]': '😘',
+  '[色]': '😍', '[憧憬]': '🤩', '[馋嘴]': '🤤', '[酷]': '😎', '[思考]': '🤔',
+  '[疑问]': '❓', '[汗]': '😓', '[晕]': '😵', '[衰]': '😩', '[泪]': '😢',
+  '[悲伤]': '😢', '[可怜]': '🥺', '[委屈]': '🥺', '[怒]': '😡', '[哼]': '😤',
+  '[吐]': '🤮', '[生病]': '😷', '[睡]': '😴', '[吃惊]': '😲', '[拜拜]': '👋',
+  '[抱抱]': '🤗', '[鼓掌]': '👏', '[赞]': '👍', '[good]': '👍', '[ok]': '👌',
+  '[耶]': '✌️', '[握手]': '🤝', '[给力]': '💪', '[心]': '❤️', '[伤心]': '💔',
+  '[doge]': '🐶', '[二哈]': '🐶', '[喵喵]': '🐱', '[吃瓜]': '🍉', '[蛋糕]': '🎂',
+  '[礼物]': '🎁', '[飞机]': '✈️', '[太阳]': '☀️', '[月亮]': '🌙', '[鲜花]': '🌹',
+};
+
+/**
+ * Turn a Weibo topic into an Obsidian-compatible tag
+ * @param {string} topic - Topic text, with or without the surrounding #
+ * @returns {string} - Tag without the leading #, or an empty string
+ */
+export function topicToTag(topic) {
+  return toTagName(topic.replace(/^#|#$/g, ''));
+}
+
+/**
+ * Work out where a Weibo link really points to
+ * @param {string} href - The link's href
+ * @param {string} dataUrl - The link's data-url (the original t.cn short link, if any)
+ * @param {Object} shortLinks - Resolved short links, short URL → target
+ * @returns {string} - Absolute target URL
+ */
+export function resolveWeiboLink(href, dataUrl, shortLinks = {}) {
+  if (dataUrl && shortLinks[dataUrl]) return shortLinks[dataUrl];
+  if (href && shortLinks[href]) return shortLinks[href];
+  if (!href) return dataUrl || '';
+
+  // weibo.cn/sinaurl?u=<encoded target> wraps external links
+  if (href.includes('sinaurl')) {
+    try {
+      const target = new URL(href, MOBILE_BASE_URL).searchParams.get('u');
+      if (target) return target;
+    } catch (error) {
+      // Fall through to the plain href
+    }
+  }
+
+  if (href.startsWith('//')) return `https:${href}`;
+  if (href.startsWith('/')) return `${MOBILE_BASE_URL}${href}`;
+  return href;
+}
+
+/**
+ * Convert Weibo status or comment HTML to Markdown
+ * @param {string} html - Weibo HTML text
+ * @param {Object} [options] - Conversion options
+ * @param {Object} [options.shortLinks] - Resolved short links, short URL → target
+ * @returns {Object} - `{ markdown, tags, mentions }` with the topics (as tags) and users mentioned in the text
+ */
+export function weiboHtmlToMarkdown(html, options = {}) {
+  const { shortLinks = {} } = options;
+  const tags = [];
+  const mentions = [];
+
+  const turndownService = new TurndownService();
+
+  // Turndown gives rules added later precedence, so the generic link rule comes first
+  turndownService.addRule('weiboLink', {
+    filter: node => node.nodeName === 'A',
+    replacement: (content, node) => {
+      const target = resolveWeiboLink(node.getAttribute('href'), node.getAttribute('data-url'), shortLinks);
+      const label = node.textContent.trim() || target;
+      return target ? `[${label}](${target})` : label;
+    }
+  });
+
+  turndownService.addRule('weiboMention', {
+    filter: node => node.nodeName === 'A' && node.textContent.trim().startsWith('@'),
+    replacement: (content, node) => {
+      const name = node.textContent.trim().slice(1);
+      if (!mentions.includes(name)) mentions.push(name);
+      return `[@${name}](${WEIBO_PROFILE_URL}${encodeURIComponent(name)})`;
+    }
+  });
+
+  turndownService.addRule('weiboTopic', {
+    filter: node => node.nodeName === 'A' && /^#[^#]+#$/.test(node.textContent.trim()),
+    replacement: (content, node) => {
+      const topic = node.textContent.trim();
+      const tag = topicToTag(topic);
+      if (tag && !tags.includes(tag)) tags.push(tag);
+      return `[${topic}](${WEIBO_TOPIC_URL}${encodeURIComponent(topic)})`;
+    }
+  });
+
+  turndownService.addRule('weiboEmoji', {
+    filter: 'img',
+    replacement: (content, node) => {
+      const alt = (node.getAttribute('alt') || '').trim();
+      // Other inline images are link and location icons
+      if (!/^\[.+\]$/.test(alt)) return '';
+      return EMOJI[alt] || alt;
+    }
+  });
+
+  const markdown = turndownService.turndown(html || '');
+  return { markdown, tags, mentions };
+}
+
+/**
+ * Find the t.cn short links in Weibo HTML that cannot be expanded without a request
+ * Links wrapped in weibo.cn/sinaurl?u= already carry their target and are skipped
+ * @param {string} html - Weibo HTML text
+ * @returns {Array<string>} - Short link URLs
+ */
+export function findUnresolvedShortLinks(html) {
+  const links = new Set();
+  const anchorPattern = /<a\b[^>]*>/gi;
+  let match;
+
+  while ((match = anchorPattern.exec(html || '')) !== null) {
+    const tag = match[0];
+    const href = tag.match(/href=["']([^"']+)["']/i)?.[1] || '';
+    const dataUrl = tag.match(/data-url=["']([^"']+)["']/i)?.[1] || '';
+    if (href.includes('sinaurl') && /[?&](amp;)?u=/.test(href)) continue;
+
+    for (const url of [dataUrl, href]) {
+      if (/^https?:\/\/t\.cn\//i.test(url)) links.add(url);
+    }
+  }
+
+  return [...links];
+}
+
+export default {
+  weiboHtmlToMarkdown,
+  resolveWeiboLink,
+  findUnresolvedShortLinks,
+  topicToTag
+};
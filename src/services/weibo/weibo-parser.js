@@ -2,19 +2,272 @@
  * Weibo content parsing service for the Weibo Saver application
  * Extracts structured data from raw Weibo content
  */
-import { cleanWeiboText, generatePostTitle } from '../../utils/text-processor.js';
+import { generatePostTitle, stripMarkdownLinks, formatDuration } from '../../utils/text-processor.js';
 import { logger } from '../../utils/logger.js';
-import TurndownService from 'turndown';
+import { config } from '../../config/config.js';
+import { isTruncatedStatus } from './weibo-fetcher.js';
+import { weiboHtmlToMarkdown } from './weibo-markdown.js';
+import { normalizeDate } from '../../utils/date-normalizer.js';
 
-// Initialize Turndown service for HTML to Markdown conversion
-const turndownService = new TurndownService();
+/**
+ * Format a Weibo timestamp the way saved notes show dates
+ * @param {string} value - Weibo timestamp, e.g. "Sat Oct 18 10:00:00 +0800 2025" or "3分钟前"
+ * @param {Date} [referenceDate] - Date relative timestamps are resolved against
+ * @returns {string} - ISO timestamp, or the original value if it cannot be parsed
+ */
+function formatWeiboDate(value, referenceDate) {
+  return normalizeDate(value, { referenceDate }) || value || '';
+}
+
+// Video stream fields on page_info.urls / page_info.media_info, with the resolution (lines) they stand for.
+// h5_url and page_url are left out on purpose: they point to player pages, not video files
+const VIDEO_STREAM_FIELDS = [
+  { key: 'mp4_1080p_mp4', quality: 1080 },
+  { key: 'mp4_720p_mp4', quality: 720 },
+  { key: 'mp4_720p', quality: 720 },
+  { key: 'mp4_hd_mp4', quality: 480 },
+  { key: 'mp4_hd_url', quality: 480 },
+  { key: 'stream_url_hd', quality: 480 },
+  { key: 'mp4_ld_mp4', quality: 360 },
+  { key: 'mp4_sd_url', quality: 360 },
+  { key: 'stream_url', quality: 360 },
+];
+
+/**
+ * Collect every video stream a page_info exposes
+ * @param {Object} pageInfo - Raw page_info of a video status
+ * @returns {Array<Object>} - Streams as { url, quality, width, height }
+ */
+function collectVideoStreams(pageInfo) {
+  const mediaInfo = pageInfo.media_info || {};
+  const streams = [];
+
+  // playback_list carries explicit quality labels and dimensions
+  for (const playback of mediaInfo.playback_list || []) {
+    const playInfo = playback.play_info || {};
+    const label = playInfo.quality_label || playback.meta?.quality_label || '';
+    const quality = parseInt(label.match(/(\d{3,4})[pP]/)?.[1], 10) || playInfo.height || 0;
+    if (playInfo.url) {
+      streams.push({ url: playInfo.url, quality, width: playInfo.width || null, height: playInfo.height || null });
+    }
+  }
+
+  for (const source of [pageInfo.urls || {}, mediaInfo]) {
+    for (const { key, quality } of VIDEO_STREAM_FIELDS) {
+      if (source[key]) {
+        streams.push({ url: source[key], quality, width: null, height: null });
+      }
+    }
+  }
+
+  // The same stream is often listed under several fields
+  const seen = new Set();
+  return streams.filter(stream => !seen.has(stream.url) && seen.add(stream.url));
+}
+
+/**
+ * Parse the video of a status
+ * Streams are ordered best first, up to the configured maximum quality, so the
+ * downloader can fall back down the list when a stream fails
+ * @param {Object} pageInfo - Raw page_info of the status
+ * @returns {Object|null} - Video as { urls, streams, duration, cover }, or null if the status has no video
+ */
+export function parseWeiboVideo(pageInfo) {
+  if (!pageInfo || pageInfo.type !== 'video') return null;
+
+  const streams = collectVideoStreams(pageInfo).sort((a, b) => b.quality - a.quality);
+  if (streams.length === 0) {
+    logger.warn('Weibo video has no downloadable streams', { pageUrl: pageInfo.page_url });
+    return null;
+  }
+
+  const maxQuality = config.weibo.maxVideoQuality;
+  const allowed = streams.filter(stream => stream.quality <= maxQuality);
+  // Above the cap only: take the lowest quality rather than nothing
+  const ordered = allowed.length > 0 ? allowed : streams.slice(-1);
+
+  return {
+    urls: ordered.map(stream => stream.url),
+    streams: ordered,
+    duration: formatDuration(pageInfo.media_info?.duration),
+    cover: pageInfo.page_pic?.url || null
+  };
+}
+
+/**
+ * Get the motion clip of a Live Photo or animated GIF picture
+ * @param {Object} pic - Raw picture from status.pics
+ * @returns {string|null} - URL of the clip, or null for still pictures
+ */
+function getPictureMotionUrl(pic) {
+  if (!pic.videoSrc) return null;
+
+  // Live Photo clips are wrapped in a player URL: video.weibo.com/media/play?livephoto=<clip url>
+  try {
+    const livePhotoUrl = new URL(pic.videoSrc).searchParams.get('livephoto');
+    if (livePhotoUrl) return livePhotoUrl;
+  } catch (error) {
+    logger.debug('Could not parse picture video URL', { videoSrc: pic.videoSrc });
+  }
+  return pic.videoSrc;
+}
+
+/**
+ * Parse the pictures of a status, keeping their order
+ * Live Photos and animated GIFs keep their still image and their motion clip together
+ * @param {Array<Object>} pics - Raw status.pics
+ * @returns {Array<Object>} - Pictures as { image, motion, kind } where kind is photo, livephoto or gif
+ */
+export function parseWeiboPictures(pics) {
+  return (pics || []).flatMap((pic) => {
+    const image = pic.large?.url || pic.url;
+    if (!image) return [];
+
+    const motion = getPictureMotionUrl(pic);
+    let kind = 'photo';
+    if (motion) {
+      kind = pic.type === 'livephoto' ? 'livephoto' : 'gif';
+    }
+    return [{ image, motion, kind }];
+  });
+}
+
+/**
+ * Get the most complete text of a status
+ * @param {Object} status - Raw status
+ * @returns {string} - The full text if it was fetched, otherwise the (possibly truncated) preview
+ */
+function getStatusText(status) {
+  return status.longText?.longTextContent || status.text || '';
+}
+
+/**
+ * Parse a raw comment and its replies
+ * @param {Object} comment - Raw comment from the comments endpoints
+ * @param {Date} [referenceDate] - Date relative timestamps are resolved against
+ * @returns {Object} - Structured comment
+ */
+function parseWeiboComment(comment, referenceDate) {
+  const user = comment.user || {};
+  const picUrl = comment.pic ? comment.pic.large?.url || comment.pic.url : null;
+
+  return {
+    id: comment.id ? String(comment.id) : null,
+    user: user.screen_name || 'Unknown',
+    userUrl: user.id ? `https://weibo.com/u/${user.id}` : '',
+    textMD: weiboHtmlToMarkdown(comment.text).markdown,
+    createdAt: formatWeiboDate(comment.created_at, referenceDate),
+    likes: comment.like_count || comment.like_counts || 0,
+    images: picUrl ? [picUrl] : [],
+    replies: (Array.isArray(comment.comments) ? comment.comments : []).map(reply => parseWeiboComment(reply, referenceDate))
+  };
+}
+
+/**
+ * Parse raw Weibo comments into a structured format
+ * @param {Array<Object>} rawComments - Raw comments, replies nested in each comment's `comments`
+ * @param {Date} [referenceDate] - Date relative timestamps are resolved against
+ * @returns {Array<Object>} - Structured comments
+ */
+export function parseWeiboComments(rawComments, referenceDate) {
+  if (!Array.isArray(rawComments)) return [];
+  return rawComments.map(comment => parseWeiboComment(comment, referenceDate));
+}
+
+/**
+ * Collect the image URLs of comments and all their replies
+ * @param {Array<Object>} comments - Structured comments
+ * @returns {Array<string>} - Image URLs
+ */
+export function collectCommentImages(comments) {
+  return (comments || []).flatMap(comment => [
+    ...comment.images,
+    ...collectCommentImages(comment.replies)
+  ]);
+}
+
+/**
+ * Build the permalink of a status
+ * @param {Object} status - Raw status
+ * @returns {string} - Desktop URL when the author and bid are known, otherwise the mobile URL
+ */
+function getStatusUrl(status) {
+  const userId = status.user?.id;
+  if (userId && status.bid) return `https://weibo.com/${userId}/${status.bid}`;
+
+  const id = status.id || status.mid;
+  return id ? `${config.weibo.mobileUrlPrefix}${id}` : '';
+}
+
+/**
+ * Parse the repost, comment and like counts of a status
+ * Counts are kept as Weibo shows them, which may be text such as "100万+"
+ * @param {Object} status - Raw status
+ * @returns {Object} - Stats as { reposts, comments, likes }
+ */
+function parseStatusStats(status) {
+  return {
+    reposts: status.reposts_count ?? 0,
+    comments: status.comments_count ?? 0,
+    likes: status.attitudes_count ?? 0
+  };
+}
+
+// "//@user:" marks where an earlier reposter's commentary starts in a repost's text
+const REPOST_CHAIN_PATTERN = /\/\/\[@([^\]]+)\]\(([^)]*)\)\s*[:：]/;
+
+/**
+ * Split a repost's text into the reposter's own commentary and the commentary of earlier reposters
+ * @param {string} textMD - Markdown text of the repost
+ * @returns {Object} - `{ textMD, chain }` where chain lists { user, userUrl, textMD }, most recent first
+ */
+export function splitRepostChain(textMD) {
+  // Capture groups are kept by split: [own text, user, url, text, user, url, text, ...]
+  const parts = (textMD || '').split(REPOST_CHAIN_PATTERN);
+  const chain = [];
+  for (let index = 1; index < parts.length; index += 3) {
+    chain.push({ user: parts[index], userUrl: parts[index + 1], textMD: parts[index + 2].trim() });
+  }
+  return { textMD: parts[0].trim(), chain };
+}
+
+/**
+ * Parse a single status with its own text, media and metadata
+ * @param {Object} status - Raw status
+ * @param {Object} shortLinks - Resolved short links, short URL → target
+ * @param {Date} [referenceDate] - Date relative timestamps are resolved against
+ * @returns {Object} - Structured status
+ */
+function parseWeiboStatus(status, shortLinks, referenceDate) {
+  const user = status.user || {};
+  const { markdown, tags } = weiboHtmlToMarkdown(getStatusText(status), { shortLinks });
+  const video = parseWeiboVideo(status.page_info);
+
+  return {
+    id: status.id ? String(status.id) : null,
+    bid: status.bid || null,
+    url: getStatusUrl(status),
+    user: user.screen_name || 'Unknown',
+    userUrl: user.id ? `https://weibo.com/u/${user.id}` : '',
+    textMD: markdown,
+    textTruncated: isTruncatedStatus(status),
+    createdAt: formatWeiboDate(status.created_at, referenceDate),
+    pictures: parseWeiboPictures(status.pics),
+    videos: video ? [video] : [],
+    stats: parseStatusStats(status),
+    tags
+  };
+}
 
 /**
  * Parse raw Weibo data into a structured format
+ * A retweeted status is kept as a separate post in `retweet`, with its own media and metadata
  * @param {Object} rawData - The raw data from Weibo API/page
+ * @param {Object} [context] - Parsing context
+ * @param {Date} [context.referenceDate] - When the post was shared, relative timestamps are resolved against it
  * @returns {Object} - Structured Weibo data
  */
-export function parseWeiboData(rawData) {
+export function parseWeiboData(rawData, context = {}) {
   try {
     logger.info('Parsing Weibo data');
     
@@ -24,81 +277,48 @@ export function parseWeiboData(rawData) {
       throw new Error('Invalid Weibo data structure');
     }
     
-    // Extract user information
-    const user = status.user || {};
-    const userName = user.screen_name || 'Unknown';
-    
-    // Extract post content
-    let text = status.text || status.longText?.longTextContent || '';
-    text = cleanWeiboText(text);
-    const textMD = turndownService.turndown(text);
+    const shortLinks = rawData.shortLinks || {};
+    const { referenceDate } = context;
+    const post = parseWeiboStatus(status, shortLinks, referenceDate);
+    const retweet = status.retweeted_status
+      ? parseWeiboStatus(status.retweeted_status, shortLinks, referenceDate)
+      : null;
     
-    // Extract media content
-    const pics = status.pics || [];
-    const largeImgs = pics.map(pic => pic.large?.url || pic.url).filter(Boolean);
+    // Reposts of reposts carry the earlier reposters' commentary in their text
+    const { textMD: outerTextMD, chain: repostChain } = retweet
+      ? splitRepostChain(post.textMD)
+      : { textMD: post.textMD, chain: [] };
     
-    // Extract video content
-    const videoPageUrls = [];
-    if (status.page_info && status.page_info.type === 'video') {
-      const videoUrl = status.page_info.media_info?.stream_url || 
-                       status.page_info.media_info?.h5_url || 
-                       status.page_info.page_url;
-      if (videoUrl) {
-        videoPageUrls.push(videoUrl);
-      }
-    }
-    
-    // Extract retweeted content if available
-    let retweetData = {};
-    if (status.retweeted_status) {
-      const retweetStatus = status.retweeted_status;
-      const retweetUser = retweetStatus.user || {};
-      const retweetUserName = retweetUser.screen_name || 'Unknown';
-      
-      let retweetText = retweetStatus.text || retweetStatus.longText?.longTextContent || '';
-      retweetText = cleanWeiboText(retweetText);
-      const retweetTextMD = turndownService.turndown(retweetText);
-      
-      // Extract retweeted media
-      const retweetPics = retweetStatus.pics || [];
-      const retweetLargeImgs = retweetPics.map(pic => pic.large?.url || pic.url).filter(Boolean);
-      largeImgs.push(...retweetLargeImgs);
-      
-      // Extract retweeted video
-      if (retweetStatus.page_info && retweetStatus.page_info.type === 'video') {
-        const videoUrl = retweetStatus.page_info.media_info?.stream_url || 
-                         retweetStatus.page_info.media_info?.h5_url || 
-                         retweetStatus.page_info.page_url;
-        if (videoUrl) {
-          videoPageUrls.push(videoUrl);
-        }
-      }
-      
-      retweetData = {
-        originTextMD: retweetTextMD,
-        originUser: retweetUserName
-      };
-    }
-    
-    // Create timestamp
-    const createdAt = new Date(status.created_at).toISOString().replace(/T/, ' ').replace(/\.+/, '');
+    const tags = [...new Set([...post.tags, ...(retweet ? retweet.tags : [])])];
+
+    // Extract comments, fetched separately from the status
+    const comments = parseWeiboComments(rawData.comments, referenceDate);
     
+    // Still images and motion clips are tracked in the same order as the pictures
+    const largeImgs = post.pictures.map(picture => picture.image);
+    const motionClips = post.pictures.map(picture => picture.motion).filter(Boolean);
+
     // Combine all data
     const weiboData = {
-      outerTextMD: textMD,
-      outerUser: userName,
+      id: post.id,
+      bid: post.bid,
+      url: post.url,
+      outerTextMD,
+      outerUser: post.user,
+      outerUserUrl: post.userUrl,
       largeImgs,
-      createdAt,
-      videoPageUrls,
-      ...retweetData
+      pictures: post.pictures,
+      motionClips,
+      createdAt: post.createdAt,
+      videoPageUrls: post.videos,
+      comments,
+      outerTextTruncated: post.textTruncated,
+      stats: post.stats,
+      tags,
+      repostChain,
+      retweet
     };
     
-    // If there's no retweet data, set default values
-    if (!weiboData.originTextMD) {
-      weiboData.originTextMD = '';
-      weiboData.originUser = '';
-    }
-    
     logger.info('Successfully parsed Weibo data');
     return weiboData;
   } catch (error) {
@@ -113,10 +333,15 @@ export function parseWeiboData(rawData) {
  * @returns {string} - Generated title
  */
 export function generateWeiboTitle(weiboData) {
-  return generatePostTitle(weiboData.outerTextMD, weiboData.outerUser);
+  return generatePostTitle(stripMarkdownLinks(weiboData.outerTextMD), weiboData.outerUser);
 }
 
 export default {
   parseWeiboData,
+  parseWeiboComments,
+  parseWeiboVideo,
+  parseWeiboPictures,
+  splitRepostChain,
+  collectCommentImages,
   generateWeiboTitle
 };
\ No newline at end of file
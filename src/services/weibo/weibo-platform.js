@@ -0,0 +1,214 @@
+/**
+ * Weibo platform definition
+ * Wires the Weibo fetcher and parser into the platform registry
+ */
+import { fetchWeiboPost, createFallbackWeiboData } from './weibo-fetcher.js';
+import { parseWeiboData, generateWeiboTitle, collectCommentImages } from './weibo-parser.js';
+import { extractWeiboUrlFromMailBody } from '../../utils/text-processor.js';
+import { config } from '../../config/config.js';
+
+/**
+ * Map a structured comment to template data
+ * Replies at any depth are flattened into one list below the comment, in thread order
+ * @param {Object} comment - Structured comment
+ * @param {Object} mediaMap - Original media URL → local path
+ * @returns {Object} - Comment template data
+ */
+function toCommentTemplateData(comment, mediaMap) {
+  const flattenReplies = replies => replies.flatMap(reply => [reply, ...flattenReplies(reply.replies)]);
+
+  return {
+    user: comment.user,
+    user_url: comment.userUrl,
+    text: comment.textMD,
+    created_at: comment.createdAt,
+    likes: comment.likes,
+    images: comment.images.filter(url => mediaMap[url]).map(url => ({ path: mediaMap[url] })),
+    replies: flattenReplies(comment.replies).map(reply => ({
+      user: reply.user,
+      user_url: reply.userUrl,
+      // Replies are rendered on a single quoted line
+      text: reply.textMD.replace(/\s*\n+\s*/g, ' '),
+      created_at: reply.createdAt,
+      likes: reply.likes,
+      images: reply.images.filter(url => mediaMap[url]).map(url => ({ path: mediaMap[url] }))
+    }))
+  };
+}
+
+/**
+ * Map the downloaded videos to template data, with the stream that was actually saved
+ * @param {Array<Object>} videos - Parsed videos
+ * @param {Object} mediaMap - Original media URL → local path
+ * @returns {Array<Object>} - Video template data for downloaded videos
+ */
+function toVideoTemplateData(videos, mediaMap) {
+  return videos.flatMap((video) => {
+    const stream = video.streams.find(candidate => mediaMap[candidate.url]);
+    if (!stream) return [];
+
+    const path = mediaMap[stream.url];
+    return [{
+      name: path.split('/').pop(),
+      path,
+      resolution: stream.width && stream.height ? `${stream.width}×${stream.height}` : `${stream.quality}p`,
+      duration: video.duration,
+      cover: video.cover && mediaMap[video.cover] ? mediaMap[video.cover] : null
+    }];
+  });
+}
+
+const PICTURE_LABELS = {
+  livephoto: '实况照片',
+  gif: '动图'
+};
+
+/**
+ * Map the pictures to template data, pairing Live Photo and GIF stills with their motion clips
+ * @param {Array<Object>} pictures - Parsed pictures
+ * @param {Object} mediaMap - Original media URL → local path
+ * @returns {Array<Object>} - Picture template data for downloaded pictures, in post order
+ */
+function toPictureTemplateData(pictures, mediaMap) {
+  return pictures.filter(picture => mediaMap[picture.image]).map(picture => ({
+    image: mediaMap[picture.image],
+    name: mediaMap[picture.image].split('/').pop(),
+    motion: picture.motion && mediaMap[picture.motion] ? mediaMap[picture.motion] : null,
+    label: PICTURE_LABELS[picture.kind] || null
+  }));
+}
+
+/**
+ * Format the repost, comment and like counts of a post
+ * @param {Object} [stats] - Stats as { reposts, comments, likes }
+ * @returns {string} - Formatted counts, empty if unknown
+ */
+function formatStats(stats) {
+  if (!stats) return '';
+  return `转发 ${stats.reposts} · 评论 ${stats.comments} · 赞 ${stats.likes}`;
+}
+
+/**
+ * Prefix every line of a Markdown text so it renders inside a blockquote
+ * @param {string} text - Markdown text
+ * @returns {string} - Quoted text
+ */
+function quoteMarkdown(text) {
+  return (text || '').split('\n').map(line => (line.trim() ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * Map the retweeted post to template data
+ * Every field is always set so the template never picks up the outer post's values
+ * @param {Object} retweet - Structured retweeted post
+ * @param {Object} mediaMap - Original media URL → local path
+ * @returns {Object} - Retweet template data
+ */
+function toRetweetTemplateData(retweet, mediaMap) {
+  return {
+    user: retweet.user || 'Unknown',
+    user_url: retweet.userUrl || '',
+    url: retweet.url || '',
+    created_at: retweet.createdAt || '',
+    text: quoteMarkdown(retweet.textMD),
+    text_truncated: Boolean(retweet.textTruncated),
+    pictures: toPictureTemplateData(retweet.pictures || [], mediaMap),
+    video_details: toVideoTemplateData(retweet.videos || [], mediaMap),
+    stats: formatStats(retweet.stats)
+  };
+}
+
+export const weiboPlatform = {
+  name: 'weibo',
+  site: 'weibo.com',
+  templatePath: config.weibo.templatePath,
+  // sinaimg.cn answers 403 to hotlinked images, i.e. requests without a Weibo referer
+  downloadHeaders: {
+    Referer: 'https://weibo.com/',
+    'User-Agent': config.weibo.userAgent
+  },
+
+  matchesEmail(subject) {
+    return subject.includes(config.weibo.subjectFilter);
+  },
+
+  matchesUrl(url) {
+    return /^https?:\/\/([a-z0-9-]+\.)?weibo\.(com|cn)\//i.test(url);
+  },
+
+  extractUrl(mailBody) {
+    return extractWeiboUrlFromMailBody(mailBody);
+  },
+
+  normalizeUrl(url) {
+    // weibo.com/<uid>/<bid>, weibo.com/detail/<id> and m.weibo.cn/status/<id> all point to the same mobile page
+    const matches = url.match(/^https?:\/\/(?:www\.|m\.)?weibo\.(?:com|cn)\/(?:status\/|detail\/|\d+\/)([0-9a-zA-Z]+)/);
+    return matches ? config.weibo.mobileUrlPrefix + matches[1] : url;
+  },
+
+  fetch: fetchWeiboPost,
+  parse: parseWeiboData,
+  createFallback: createFallbackWeiboData,
+  generateTitle: generateWeiboTitle,
+
+  getPostId(weiboData) {
+    return weiboData.id || null;
+  },
+
+  getAuthor(weiboData) {
+    return weiboData.outerUser || null;
+  },
+
+  getPublishedAt(weiboData) {
+    return weiboData.createdAt || null;
+  },
+
+  getMedia(weiboData) {
+    const retweetPictures = weiboData.retweet?.pictures || [];
+    const videos = [...(weiboData.videoPageUrls || []), ...(weiboData.retweet?.videos || [])];
+
+    return {
+      images: [...(weiboData.largeImgs || []), ...retweetPictures.map(picture => picture.image)],
+      videos,
+      extraVideos: [
+        ...(weiboData.motionClips || []),
+        ...retweetPictures.map(picture => picture.motion).filter(Boolean)
+      ],
+      extraImages: [
+        ...videos.map(video => video.cover).filter(Boolean),
+        ...collectCommentImages(weiboData.comments)
+      ]
+    };
+  },
+
+  toTemplateData(weiboData, { url, dateSaved, pics, videos, mediaMap }) {
+    const comments = (weiboData.comments || []).map(comment => toCommentTemplateData(comment, mediaMap));
+
+    return {
+      title: weiboData.outerUser + '的微博',
+      site: this.site,
+      date_saved: dateSaved,
+      user: weiboData.outerUser,
+      created_at: weiboData.createdAt,
+      url,
+      outer_text: weiboData.outerTextMD,
+      repost_chain: (weiboData.repostChain || []).map(entry => ({
+        user: entry.user,
+        user_url: entry.userUrl,
+        text: entry.textMD.replace(/\s*\n+\s*/g, ' ')
+      })),
+      stats: formatStats(weiboData.stats),
+      retweet: weiboData.retweet ? toRetweetTemplateData(weiboData.retweet, mediaMap) : null,
+      tags: weiboData.tags || [],
+      text_truncated: Boolean(weiboData.outerTextTruncated || weiboData.retweet?.textTruncated),
+      pics,
+      pictures: toPictureTemplateData(weiboData.pictures || [], mediaMap),
+      videos,
+      video_details: toVideoTemplateData(weiboData.videoPageUrls || [], mediaMap),
+      comments,
+      has_comments: comments.length > 0
+    };
+  }
+};
+
+export default weiboPlatform;
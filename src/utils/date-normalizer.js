@@ -0,0 +1,228 @@
+/**
+ * Date normalization utilities for the Weibo Saver application
+ * Turns the absolute and relative dates Weibo and RedNote show into ISO timestamps
+ */
+import { config } from '../config/config.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Units of relative dates such as "3天前"
+const RELATIVE_UNITS = {
+  '秒': 1000,
+  '分钟': MINUTE,
+  '小时': HOUR,
+  '天': DAY,
+  '周': 7 * DAY
+};
+
+// Days before the reference date that "今天", "昨天" and "前天" stand for
+const DAY_WORDS = {
+  '今天': 0,
+  '昨天': 1,
+  '前天': 2
+};
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+}
+
+/**
+ * Get the offset of a timezone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Offset in minutes, positive east of UTC
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE);
+}
+
+/**
+ * Get the instant of a wall-clock time in a timezone
+ * Out-of-range parts roll over, so day 0 is the last day of the previous month
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - The instant
+ */
+function fromZonedParts(parts, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offset at the guessed instant can differ around DST changes, so check it once more
+  let offset = getTimeZoneOffset(new Date(asUtc), timeZone);
+  offset = getTimeZoneOffset(new Date(asUtc - offset * MINUTE), timeZone);
+  return new Date(asUtc - offset * MINUTE);
+}
+
+/**
+ * Format an instant as an ISO 8601 timestamp with the offset of a timezone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone, defaults to the configured one
+ * @returns {string} - Timestamp such as 2025-10-18T10:00:00+08:00
+ */
+export function formatDateTime(date, timeZone = config.timeZone) {
+  const pad = number => String(number).padStart(2, '0');
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const offsetText = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${offsetText}`;
+}
+
+/**
+ * Format an instant with a pattern in a timezone
+ * @param {Date} date - Instant
+ * @param {string} pattern - Pattern with the tokens YYYY, MM, DD, HH, mm and ss, e.g. YYYY年MM月DD日
+ * @param {string} [timeZone] - IANA timezone, defaults to the configured one
+ * @returns {string} - Formatted date
+ */
+export function formatDatePattern(date, pattern, timeZone = config.timeZone) {
+  const pad = number => String(number).padStart(2, '0');
+  const parts = getZonedParts(date, timeZone);
+  const tokens = {
+    YYYY: String(parts.year),
+    MM: pad(parts.month),
+    DD: pad(parts.day),
+    HH: pad(parts.hour),
+    mm: pad(parts.minute),
+    ss: pad(parts.second)
+  };
+  return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+/**
+ * Read an optional hh:mm[:ss] time from regex groups
+ * @param {Array<string>} groups - Hour, minute and second groups, any of them may be undefined
+ * @returns {Object} - { hour, minute, second }
+ */
+function readTime([hour, minute, second]) {
+  return {
+    hour: hour ? parseInt(hour, 10) : 0,
+    minute: minute ? parseInt(minute, 10) : 0,
+    second: second ? parseInt(second, 10) : 0
+  };
+}
+
+/**
+ * Parse a date as Weibo or RedNote show it
+ * Understands "刚刚", "3分钟前", "3天前", "昨天 12:30", "05-06", "05-06 上海", "2023-05-06 12:30",
+ * "编辑于 2023-05-06", "2023年5月6日" and anything `Date` can parse (ISO, Weibo's "Sat Oct 18 10:00:00 +0800 2025").
+ * Dates without a year get the latest year that does not put them after the reference date
+ * @param {string|number|Date} value - Date text, timestamp in ms or Date
+ * @param {Object} [options] - Parsing options
+ * @param {Date|string} [options.referenceDate] - When the date was read, e.g. the email's received date; defaults to now
+ * @param {string} [options.timeZone] - Timezone of wall-clock dates; defaults to the configured one
+ * @returns {Date|null} - The instant, or null if the value cannot be parsed
+ */
+export function parseDateText(value, options = {}) {
+  const { timeZone = config.timeZone } = options;
+  const referenceDate = new Date(options.referenceDate || Date.now());
+  const reference = isNaN(referenceDate.getTime()) ? new Date() : referenceDate;
+
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const text = String(value || '').trim().replace(/^(编辑于|发布于|发表于)\s*/, '');
+  if (!text) return null;
+
+  if (text.startsWith('刚刚')) return reference;
+
+  const relative = text.match(/^(\d+)\s*(秒|分钟|小时|天|周)前/);
+  if (relative) {
+    return new Date(reference.getTime() - parseInt(relative[1], 10) * RELATIVE_UNITS[relative[2]]);
+  }
+
+  const dayWord = text.match(/^(今天|昨天|前天)\s*(?:(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (dayWord) {
+    const today = getZonedParts(reference, timeZone);
+    return fromZonedParts({
+      year: today.year,
+      month: today.month,
+      day: today.day - DAY_WORDS[dayWord[1]],
+      ...readTime(dayWord.slice(2))
+    }, timeZone);
+  }
+
+  // ISO timestamps and other machine formats keep their own offset
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text) || /^[A-Z][a-z]{2} /.test(text)) {
+    const date = new Date(text);
+    if (!isNaN(date.getTime())) return date;
+  }
+
+  const full = text.match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?(?:\s*(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (full) {
+    return fromZonedParts({
+      year: parseInt(full[1], 10),
+      month: parseInt(full[2], 10),
+      day: parseInt(full[3], 10),
+      ...readTime(full.slice(4))
+    }, timeZone);
+  }
+
+  const monthDay = text.match(/^(\d{1,2})[-/月](\d{1,2})日?(?:\s*(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (monthDay) {
+    const parts = {
+      year: getZonedParts(reference, timeZone).year,
+      month: parseInt(monthDay[1], 10),
+      day: parseInt(monthDay[2], 10),
+      ...readTime(monthDay.slice(3))
+    };
+    const date = fromZonedParts(parts, timeZone);
+    // A December note read in January belongs to the previous year
+    return date.getTime() > reference.getTime() + DAY
+      ? fromZonedParts({ ...parts, year: parts.year - 1 }, timeZone)
+      : date;
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Normalize a date as Weibo or RedNote show it to an ISO timestamp in the configured timezone
+ * @param {string|number|Date} value - Date text, timestamp in ms or Date
+ * @param {Object} [options] - Options as for parseDateText
+ * @returns {string|null} - Timestamp such as 2025-10-18T10:00:00+08:00, or null if the value cannot be parsed
+ */
+export function normalizeDate(value, options = {}) {
+  const date = parseDateText(value, options);
+  return date ? formatDateTime(date, options.timeZone || config.timeZone) : null;
+}
+
+export default {
+  parseDateText,
+  normalizeDate,
+  formatDateTime,
+  formatDatePattern
+};
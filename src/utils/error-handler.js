@@ -39,6 +39,10 @@ export const ErrorCodes = {
   WEIBO_FETCH_ERROR: 'WEIBO_FETCH_ERROR',
   WEIBO_PARSE_ERROR: 'WEIBO_PARSE_ERROR',
   
+  // RedNote related errors
+  REDNOTE_FETCH_ERROR: 'REDNOTE_FETCH_ERROR',
+  REDNOTE_PARSE_ERROR: 'REDNOTE_PARSE_ERROR',
+  
   // Media related errors
   MEDIA_DOWNLOAD_ERROR: 'MEDIA_DOWNLOAD_ERROR',
   
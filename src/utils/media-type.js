@@ -0,0 +1,131 @@
+/**
+ * Media type utilities for the Weibo Saver application
+ * Works out the file extension of downloaded media from its content rather than its URL
+ */
+
+// Extensions of the media types the platforms serve
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/pjpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'image/heif': '.heif',
+  'image/avif': '.avif',
+  'image/bmp': '.bmp',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'video/x-matroska': '.mkv'
+};
+
+// ISO base media brands (the "ftyp" box) that are images rather than videos
+const FTYP_IMAGE_BRANDS = {
+  heic: '.heic',
+  heix: '.heic',
+  hevc: '.heic',
+  heim: '.heic',
+  heis: '.heic',
+  mif1: '.heif',
+  msf1: '.heif',
+  avif: '.avif',
+  avis: '.avif'
+};
+
+// Number of leading bytes detectExtensionFromBytes needs
+export const MAGIC_BYTES_LENGTH = 16;
+
+/**
+ * Get the extension for a Content-Type header
+ * @param {string} contentType - Content-Type header, parameters are ignored
+ * @returns {string|null} - Extension with the leading dot, or null for unknown types
+ */
+export function getExtensionFromContentType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return CONTENT_TYPE_EXTENSIONS[type] || null;
+}
+
+/**
+ * Get the media type of a file extension
+ * @param {string} extension - Extension with or without the leading dot
+ * @returns {string|null} - Media type, e.g. image/jpeg, or null for unknown extensions
+ */
+export function getContentTypeFromExtension(extension) {
+  const normalized = `.${String(extension || '').replace(/^\./, '').toLowerCase()}`;
+  const entry = Object.entries(CONTENT_TYPE_EXTENSIONS).find(([, candidate]) => candidate === normalized);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Recognize a media file by its first bytes
+ * @param {Buffer} bytes - The first MAGIC_BYTES_LENGTH bytes of the file, or fewer if the file is shorter
+ * @returns {string|null} - Extension with the leading dot, or null if the format is not recognized
+ */
+export function detectExtensionFromBytes(bytes) {
+  if (!bytes || bytes.length < 4) return null;
+
+  const ascii = (start, end) => bytes.toString('latin1', start, end);
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return '.jpg';
+  if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return '.png';
+  if (ascii(0, 4) === 'GIF8') return '.gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return '.webp';
+  if (ascii(0, 2) === 'BM') return '.bmp';
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+    return ascii(0, MAGIC_BYTES_LENGTH).includes('webm') ? '.webm' : '.mkv';
+  }
+
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (FTYP_IMAGE_BRANDS[brand]) return FTYP_IMAGE_BRANDS[brand];
+    if (brand === 'qt  ') return '.mov';
+    return '.mp4';
+  }
+
+  return null;
+}
+
+/**
+ * Get the extension at the end of a URL's path
+ * @param {string} url - Media URL
+ * @returns {string|null} - Extension with the leading dot, or null if the path has none
+ */
+export function getExtensionFromUrl(url) {
+  let pathname = String(url || '');
+  try {
+    pathname = new URL(pathname).pathname;
+  } catch (error) {
+    pathname = pathname.split(/[?#]/)[0];
+  }
+  const match = pathname.match(/\.([0-9a-z]{2,5})$/i);
+  return match ? `.${match[1].toLowerCase()}` : null;
+}
+
+/**
+ * Choose the extension of a downloaded file
+ * The file's own bytes win over the Content-Type, which wins over the URL, since CDNs often serve
+ * webp or heic from .jpg URLs
+ * @param {Object} sources - What is known about the file
+ * @param {Buffer} [sources.bytes] - The file's first bytes
+ * @param {string} [sources.contentType] - Content-Type of the response
+ * @param {string} [sources.url] - URL the file was downloaded from
+ * @param {string} [sources.fallback] - Extension used when nothing else tells
+ * @returns {string} - Extension with the leading dot
+ */
+export function detectExtension({ bytes, contentType, url, fallback = '' }) {
+  return detectExtensionFromBytes(bytes)
+    || getExtensionFromContentType(contentType)
+    || getExtensionFromUrl(url)
+    || fallback;
+}
+
+export default {
+  MAGIC_BYTES_LENGTH,
+  getExtensionFromContentType,
+  getContentTypeFromExtension,
+  detectExtensionFromBytes,
+  getExtensionFromUrl,
+  detectExtension
+};
@@ -43,18 +43,41 @@ export function extractWeiboUrlFromMailBody(bodyHtml) {
 }
 
 /**
- * Clean Weibo text by removing HTML tags and other unwanted elements
- * @param {string} text - Raw text from Weibo post
- * @returns {string} - Cleaned text
+ * Turn a topic name into an Obsidian-compatible tag
+ * Tags may not contain spaces or punctuation other than _, - and /
+ * @param {string} name - Topic name
+ * @returns {string} - Tag without the leading #, or an empty string
  */
-export function cleanWeiboText(text) {
-  return text
-    .replace(/src="(.*?)"?\/?>/g, '')
-    .replace(/<span.*?\/?>/g, '')
-    .replace(/<a.*?\/?>/g, '')
-    .replace(/<\/span>/g, '')
-    .replace(/<\/a>/g, '')
-    .replace(/<img alt=/g, '');
+export function toTagName(name) {
+  return (name || '')
+    .trim()
+    .replace(/[^\p{L}\p{N}_\-/]+/gu, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Format a duration in seconds as m:ss or h:mm:ss
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration, empty if unknown
+ */
+export function formatDuration(seconds) {
+  if (!seconds) return '';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Replace Markdown links and images with their text
+ * @param {string} text - Markdown text
+ * @returns {string} - Text without link targets
+ */
+export function stripMarkdownLinks(text) {
+  return (text || '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1');
 }
 
 /**
@@ -107,30 +130,75 @@ export function generatePostTitle(text, username, maxLength = 40) {
   return createFilenameFromTitle(title);
 }
 
+// Share links (xhslink.com) and note pages (xiaohongshu.com/explore/<id>, /discovery/item/<id>) with their query
+const RED_NOTE_URL_PATTERN = /https?:\/\/(?:[a-z0-9-]+\.)?(?:xhslink\.com\/[A-Za-z0-9/_-]+|xiaohongshu\.com\/(?:explore|discovery\/item)\/[0-9a-zA-Z]+(?:\?[^\s"'<>，。）)]*)?)/i;
+
+// Query parameters the note page needs to show the note
+const RED_NOTE_KEPT_PARAMS = ['xsec_token', 'xsec_source'];
+
+// Phrases the RedNote app puts in shared texts
+const RED_NOTE_SHARE_MARKERS = ['【小红书】', '小红书笔记', '小红书App'];
+
 /**
  * Extract RedNote URL from email subject or body
+ * Finds share links as well as note page links, with the query the page needs
  * @param {string} text - Text to extract URL from
  * @returns {string|null} - Extracted RedNote URL or null if not found
  */
 export function extractRedNoteUrl(text) {
   try {
-    const redNoteUrlPattern = /http:\/\/xhslink\.com\/[a-zA-Z0-9\/]+/;
-    const matches = text.match(redNoteUrlPattern);
-    return matches ? matches[0] : null;
+    const matches = text.match(RED_NOTE_URL_PATTERN);
+    // Links in HTML mail bodies have their & escaped
+    return matches ? matches[0].replace(/&amp;/g, '&') : null;
   } catch (error) {
     logger.error('Error extracting RedNote URL', error);
     return null;
   }
 }
 
+/**
+ * Extract the note id from a canonical RedNote note URL
+ * @param {string} url - RedNote note URL, e.g. https://www.xiaohongshu.com/explore/<id>
+ * @returns {string|null} - Note id or null if the URL has none
+ */
+export function extractRedNoteId(url) {
+  if (!url) return null;
+  const matches = url.match(/xiaohongshu\.com\/(?:explore|discovery\/item)\/([0-9a-zA-Z]+)/);
+  return matches ? matches[1] : null;
+}
+
+/**
+ * Turn a RedNote note URL into its canonical form
+ * Tracking parameters are dropped, the xsec token the page needs is kept; share links are returned as they are
+ * @param {string} url - RedNote URL
+ * @returns {string} - https://www.xiaohongshu.com/explore/<id> with the kept query parameters
+ */
+export function normalizeRedNoteUrl(url) {
+  const id = extractRedNoteId(url);
+  if (!id) return url;
+
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch (error) {
+    params = new URLSearchParams();
+  }
+
+  const kept = new URLSearchParams();
+  RED_NOTE_KEPT_PARAMS.filter(name => params.get(name)).forEach(name => kept.set(name, params.get(name)));
+  const query = kept.toString();
+  return `https://www.xiaohongshu.com/explore/${id}${query ? `?${query}` : ''}`;
+}
+
 /**
  * Check if text contains RedNote share pattern
+ * A share has a RedNote link and one of the phrases the app adds to shared texts
  * @param {string} text - Text to check
  * @returns {boolean} - Whether the text contains RedNote share pattern
  */
 export function isRedNoteShare(text) {
-  return text.includes('小红书笔记') && 
-         text.includes('复制本条信息，打开【小红书】App查看精彩内容');
+  if (!text || !extractRedNoteUrl(text)) return false;
+  return RED_NOTE_SHARE_MARKERS.some(marker => text.includes(marker));
 }
 
 /**
@@ -148,13 +216,17 @@ export function cleanRedNoteText(text) {
 export default {
   // Weibo functions
   extractWeiboUrlFromMailBody,
-  cleanWeiboText,
+  stripMarkdownLinks,
+  toTagName,
+  formatDuration,
   createFilenameFromTitle,
   truncateText,
   generatePostTitle,
   
   // RedNote functions
   extractRedNoteUrl,
+  extractRedNoteId,
+  normalizeRedNoteUrl,
   isRedNoteShare,
   cleanRedNoteText
 };
\ No newline at end of file